@@ -2,7 +2,12 @@
 
 const { RXFS } = require('./util/rxfs')
 
+/**
+@param {Object.<string, *>} cfg - rxfs options
+@returns {RXFS} await `.ready` for the bound address, `.close()` to shut down
+*/
+
 module.exports = function tsk_serve (cfg)
 {
-    new RXFS(cfg)
-}
\ No newline at end of file
+    return new RXFS(cfg)
+}
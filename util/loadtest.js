@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+'use strict'
+
+// serves a sparse multi-gigabyte file to throttled clients and samples the server's memory every second.
+// rss should level off within a few seconds instead of growing with the amount of data sent
+// usage: node util/loadtest.js -size=4 -clients=8 -rate=16 -duration=20
+//  size: file size in GiB, rate: MiB/s per client, duration: seconds
+// one client disconnects halfway through and one downloads a range, to exercise abort handling and partial content
+
+const child_process = require('child_process')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+
+// server process
+
+if (process.argv[2] === '--server')
+{
+    const { RXFS } = require('./rxfs')
+    const rxfs = new RXFS({ root: process.argv[3], port: 0, verbose: false, headers: {} })
+
+    rxfs.ready.then(address => process.send({ port: address.port }))
+    setInterval(() => process.send({ memory: process.memoryUsage() }), 1000)
+    process.on('disconnect', () => rxfs.close().then(() => process.exit(0)))
+    return
+}
+
+// options
+
+const opts = { size: 4, clients: 8, rate: 16, duration: 20 }
+
+for (const arg of process.argv.slice(2))
+{
+    const [key, val] = arg.replace(/^-+/, '').split('=')
+    if (!opts.hasOwnProperty(key) || !(Number(val) > 0)) throw new Error(`invalid argument: ${ arg }`)
+    opts[key] = Number(val)
+}
+
+// sparse file: takes no disk space, reads as zeros
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rxfs-loadtest-'))
+const size = Math.floor(opts.size * 1024 ** 3)
+const fd = fs.openSync(`${ dir }/big.bin`, 'w')
+fs.ftruncateSync(fd, size)
+fs.closeSync(fd)
+
+const mb = n => `${ (n / 1024 ** 2).toFixed(1) }M`
+const server = child_process.fork(__filename, ['--server', dir])
+const clients = []
+const samples = []
+let received = 0
+
+/**
+downloads big.bin at opts.rate, pausing the response whenever the per-second budget is used up
+@param {number} port
+@param {Object.<string, string>} headers
+@param {number} abortAfter - bytes after which the client disconnects, 0: never
+*/
+
+function client (port, headers, abortAfter)
+{
+    const budget = opts.rate * 1024 ** 2 / 10 // per 100ms
+    let used = 0
+    let total = 0
+
+    const req = http.get({ port, path: '/big.bin', headers, agent: false }, res =>
+    {
+        res.on('data', chunk =>
+        {
+            used += chunk.length
+            total += chunk.length
+            received += chunk.length
+
+            if (abortAfter && total >= abortAfter)
+            {
+                req.destroy()
+                return
+            }
+
+            if (used >= budget)
+            {
+                res.pause()
+                setTimeout(() => { used = 0; res.resume() }, 100)
+            }
+        })
+    })
+
+    req.on('error', () => {})
+    clients.push(req)
+}
+
+server.on('message', msg =>
+{
+    if (msg.port)
+    {
+        console.log(`serving ${ mb(size) } to ${ opts.clients } client(s) at ${ opts.rate }M/s each for ${ opts.duration }s`)
+        console.log(`  time      rss heapused  external  received`)
+
+        for (let i = 0; i < opts.clients; i++)
+        {
+            if (i === 0) client(msg.port, {}, opts.rate * 1024 ** 2 * opts.duration / 2)
+            else if (i === 1) client(msg.port, { range: `bytes=${ Math.floor(size / 2) }-` }, 0)
+            else client(msg.port, {}, 0)
+        }
+
+        setTimeout(finish, opts.duration * 1000)
+        return
+    }
+
+    const { rss, heapUsed, external } = msg.memory
+    samples.push(rss)
+    console.log(`${ String(samples.length).padStart(5) }s ${ mb(rss).padStart(8) } ${ mb(heapUsed).padStart(8) } ${ mb(external).padStart(9) } ${ mb(received).padStart(9) }`)
+})
+
+function finish ()
+{
+    for (const req of clients) req.destroy()
+    server.disconnect()
+    fs.rmSync(dir, { recursive: true, force: true })
+
+    // the first samples include startup. growth after that would mean buffering proportional to the data sent
+    const settled = samples.slice(Math.min(3, samples.length - 1))
+    console.log(`sent ${ mb(received) }, rss after warmup: min ${ mb(Math.min(...settled)) }, max ${ mb(Math.max(...settled)) }`)
+}
@@ -2,9 +2,16 @@
 
 'use strict' // 2021-04-12 23.42
 
+const crypto = require('crypto')
 const fs = require('fs')
 const http = require('http')
+const http2 = require('http2')
+const https = require('https')
+const net = require('net')
+const os = require('os')
 const path = require('path')
+const { performance } = require('perf_hooks')
+const zlib = require('zlib')
 
 // util
 
@@ -246,562 +253,5816 @@ const mimes =
 // additions and overrides
 mimes['js'] = 'text/javascript' // https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#textjavascript
 mimes['log'] = 'text/plain'
+mimes['md'] = 'text/markdown'
+mimes['markdown'] = 'text/markdown'
 
-// rxfs
+// http
 
-class Config
+/**
+parses a `Range` request header against a representation of `size` bytes<br>
+overlapping and adjacent ranges are merged
+@returns {Array.<{start: number, end: number}>|null|-1} inclusive byte ranges, null if the header should be ignored, -1 if unsatisfiable
+@example
+parseRange(1000, 'bytes=0-99,-100') // [ { start: 0, end: 99 }, { start: 900, end: 999 } ]
+parseRange(1000, 'bytes=1000-')     // -1
+*/
+
+function parseRange (size, header)
 {
-    root = '.'
-    port = 1234
-    baseurl = '/'
-    autoindex = false
-    servedir = true
-    headers = { 'cache-control': `public, max-age=604800, immutable` }
-    mimes = {}
-    logfile = ''
-    verbose = true
-    debug = false
+    const match = /^bytes=(.+)$/.exec(header.trim())
+    if (!match) return null
 
-    constructor (opts)
+    const ranges = []
+
+    for (const spec of match[1].split(','))
     {
-        // bulk runtime typecheck and merger of partials with defaults
+        const m = /^(\d*)-(\d*)$/.exec(spec.trim())
+        if (!m || (!m[1] && !m[2])) return null
 
-        for (const key in opts)
+        let start, end
+
+        if (!m[1]) // suffix: last n bytes
         {
-            if (!this.hasOwnProperty(key))
-            {
-                throw new Error(`unrecognized option: ${ key }`)
-            }
+            start = Math.max(size - Number(m[2]), 0)
+            end = size - 1
+            if (Number(m[2]) === 0) continue
+        }
+        else
+        {
+            start = Number(m[1])
+            end = m[2] ? Math.min(Number(m[2]), size - 1) : size - 1
+            if (m[2] && Number(m[2]) < start) return null
+        }
 
-            if (typeof opts[key] !== typeof this[key])
-            {
-                throw new Error(`config.${ key } type error: expected a ${ typeof this[key] }, got ${ typeof opts[key] }`)
-            }
+        if (start < size) ranges.push({ start, end })
+    }
 
-            this[key] = opts[key]
-        }
+    if (!ranges.length) return -1
 
-        // root
+    ranges.sort((a, b) => a.start - b.start)
+    const merged = [ranges[0]]
 
-        if (!this.root) throw new Error(`config.root can't be an empty string`)
-        this.root = path.resolve(this.root)
-        if (process.platform === 'win32') this.root = this.root.replace(/\\/g, '/')
+    for (const range of ranges.slice(1))
+    {
+        const last = merged[merged.length - 1]
+        if (range.start <= last.end + 1) last.end = Math.max(last.end, range.end)
+        else merged.push(range)
+    }
 
-        // logfile
+    return merged
+}
 
-        if (this.logfile)
-        {
-            this.logfile = path.resolve(this.logfile)
-            if (process.platform === 'win32') this.logfile = this.logfile.replace(/\\/g, '/')
-        }
+/**
+strong validator derived from size and mtime, as nginx does
+@param {fs.Stats} stats
+@param {string} [variant] - distinguishes transformed representations of the same file
+*/
 
-        // port
+function etag (stats, variant = '')
+{
+    return `"${ Math.floor(stats.mtimeMs).toString(16) }-${ stats.size.toString(16) }${ variant ? '-' + variant : '' }"`
+}
 
-        if (!Number.isInteger(this.port) || this.port < 1 || this.port > 65535)
-        {
-            throw new Error(`invalid port specified: ${ this.port }`)
-        }
+/**
+evaluates `If-None-Match` and, in its absence, `If-Modified-Since`. `If-None-Match` uses weak comparison
+@param {http.IncomingMessage} req
+@param {string} tag - current etag
+@param {Date} mtime - current modification time
+@returns {boolean} true if a 304 should be sent
+*/
 
-        // baseurl
+function notModified (req, tag, mtime)
+{
+    const ifNoneMatch = req.headers['if-none-match']
 
-        this.baseurl = this.baseurl.replace(/\/{2,}/g, '/').replace(/^\//g, '').replace(/\/$/g, '')
+    if (ifNoneMatch)
+    {
+        if (ifNoneMatch.trim() === '*') return true
+        const opaque = (t) => t.trim().replace(/^W\//, '')
+        return ifNoneMatch.split(',').some(t => opaque(t) === opaque(tag))
+    }
 
-        // autoindex / servedir
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'])
+    if (Number.isNaN(ifModifiedSince)) return false
+    return Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince
+}
 
-        if (this.autoindex && this.servedir)
-        {
-            throw new Error(`config.autoindex and config.servedir are mutally exclusive`)
-        }
+/**
+@param {Error} err - filesystem error
+@returns {number} response status
+*/
 
-        // headers / mimes
+function errorStatus (err)
+{
+    return { ENOENT: 404, ENOTDIR: 404, EACCES: 403, EPERM: 403, EMFILE: 503, ENFILE: 503 }[err.code] || 500
+}
 
-        for (const prop of ['headers', 'mimes'])
-        {
-            for (const val of Object.values(this[prop]))
-            {
-                if (typeof val !== 'string')
-                {
-                    throw new Error(`config.${ prop } values must be strings`)
-                }
-            }
-        }
-    }
+/**
+@param {string} rel - slash-separated path
+@returns {boolean} whether any segment of the path starts with a dot
+*/
+
+function isHidden (rel)
+{
+    return rel.split('/').some(segment => segment.startsWith('.'))
 }
 
-class R
+/**
+@param {string} url - decoded url path
+@returns {boolean} whether its dot segments climb above the url root
+*/
+
+function climbs (url)
 {
-    id
-    req
-    res
-    headers
-    rel // relative path of the item in config.root. no leading or trailing slashes
-    abs // absolute path of the item
+    let depth = 0
 
-    constructor (rxfs, req, res, id)
+    for (const segment of url.split('/'))
     {
-        this.id  = id
-        this.req = req
-        this.res = res
+        if (segment === '..') depth--
+        else if (segment && segment !== '.') depth++
+        if (depth < 0) return true
+    }
 
-        this.headers = {}
-        for (const key in rxfs.config.headers) this.headers[key] = rxfs.config.headers[key]
+    return false
+}
 
-        let url = req.url
-        try { url = decodeURIComponent(url) } catch {}
-        this.rel = url.replace(rxfs.config.baseurl, '').replace(/\/{2,}/g, '/').replace(/^\//g, '').replace(/\/$/g, '')
-        this.abs = this.rel ? `${ rxfs.config.root }/${ this.rel }` : rxfs.config.root
-        if (this.abs.startsWith('//')) this.abs = this.abs.slice(1) // edge case when serving /
+/**
+@param {string} root - mount root
+@param {string} rel - relative path in it, without leading or trailing slashes
+@returns {string} absolute path
+*/
 
-        if (rxfs.config.autoindex && fs.existsSync(`${ this.abs }/index.html`))
-        {
-            this.rel = this.rel ? `${ this.rel }/index.html` : 'index.html'
-            this.abs = `${ this.abs }/index.html`
-        }
-    }
+function joinRoot (root, rel)
+{
+    if (!rel) return root
+    return root === '/' ? `/${ rel }` : `${ root }/${ rel }`
 }
 
-class RXFS
+/**
+@param {Mount} mount
+@param {string} name - file name or path
+@returns {string} content type by extension, from mount.mimes or the mimes table
+*/
+
+function mimeType (mount, name)
 {
-    root
-    config
-    server
-    logfile
-    reqcount = 0
+    const ext = path.extname(name).slice(1).toLowerCase()
+    return mount.mimes[ext] || mimes[ext] || 'application/octet-stream'
+}
 
-    /** @param {Object.<string, *>} opts */
+// compression
 
-    constructor (opts = {})
+/** supported content-codings in order of preference, with the extensions of their precompressed siblings */
+
+const precompressedExts = { br: '.br', gzip: '.gz' }
+
+/** @param {string} type - mime type */
+
+function compressible (type)
+{
+    return /^text\/|[+\/](json|xml|javascript)$|^image\/svg\+xml$|^application\/(wasm|vnd\.ms-fontobject|x-font-ttf)$/.test(type)
+}
+
+/**
+picks a content-coding from `Accept-Encoding`, honouring q-values and `*`. ties are broken by the order of `available`
+@param {string} [header]
+@param {string[]} available
+@returns {string} empty string if none is acceptable
+*/
+
+function negotiateEncoding (header, available)
+{
+    if (!header) return ''
+
+    const q = {}
+
+    for (const token of header.split(','))
     {
-        this.config = new Config(opts)
-        this.debug(this.config)
+        const [name, ...params] = token.trim().toLowerCase().split(';')
+        const param = params.map(p => p.trim()).find(p => p.startsWith('q='))
+        q[name] = param ? Number(param.slice(2)) || 0 : 1
+    }
 
-        if (!fs.existsSync(this.config.root)) throw new Error(`no such directory: ${ this.config.root }`)
-        if (!fs.statSync(this.config.root).isDirectory()) throw new Error(`not a directory: ${ this.config.root }`)
+    let best = ''
+    let bestq = 0
 
-        if (this.config.logfile)
-        {
-            try
-            {
-                fs.mkdirSync(path.parse(this.config.logfile).dir, { recursive: true })
-                this.logfile = fs.createWriteStream(this.config.logfile)
-            }
-            catch (err)
-            {
-                throw new Error(`failed to create log file: ${ this.config.logfile }: ${ err.message || err }`)
-            }
-        }
+    for (const enc of available)
+    {
+        const value = q.hasOwnProperty(enc) ? q[enc] : (q.hasOwnProperty('*') ? q['*'] : 0)
+        if (value > bestq) [best, bestq] = [enc, value]
+    }
 
-        this.server = http.createServer()
-        this.server.listen(this.config.port)
-        this.server.addListener('request', this.handle)
-        this.log(`dir: ${ this.config.root }`)
-        this.log(`url: http://localhost:${ this.config.port }` + (this.config.baseurl === '/' ? '' : '/' + this.config.baseurl))
+    return best
+}
+
+/** @param {string} encoding - br or gzip */
+
+function encoder (encoding)
+{
+    return encoding === 'br'
+        ? zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } })
+        : zlib.createGzip()
+}
+
+/**
+@param {string} encoding - br or gzip
+@param {string|Buffer} data
+*/
+
+function encodeSync (encoding, data)
+{
+    return encoding === 'br'
+        ? zlib.brotliCompressSync(data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } })
+        : zlib.gzipSync(data)
+}
+
+/**
+adds a field name to the `vary` header
+@param {Object.<string, string>} headers
+@param {string} field
+*/
+
+function vary (headers, field)
+{
+    const fields = headers['vary'] ? headers['vary'].split(',').map(f => f.trim()) : []
+    if (!fields.some(f => f.toLowerCase() === field)) fields.push(field)
+    headers['vary'] = fields.join(', ')
+}
+
+// proxy
+
+const hopByHop = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'proxy-connection', 'te', 'trailer', 'transfer-encoding', 'upgrade']
+
+/**
+request headers for the upstream request: hop-by-hop and http2 pseudo headers removed, host set to the target, x-forwarded-* added
+@param {http.IncomingMessage} req
+@param {URL} target
+@param {boolean} secure - whether the client connection is tls
+@param {boolean} credentials - whether to remove the credentials checked by config.auth: authorization and the token cookie
+*/
+
+function proxyHeaders (req, target, secure, credentials)
+{
+    const headers = {}
+
+    for (const [key, val] of Object.entries(req.headers))
+    {
+        if (!key.startsWith(':') && !hopByHop.includes(key)) headers[key] = val
     }
 
-    handle = (req, res) =>
+    if (credentials)
     {
-        const id = (this.reqcount++).toString().padStart(3, '0')
-        this.log(`REQ #${ id } ${ req.method } ${ req.url }`)
-        const r = new R(this, req, res, id)
-        this.debug(`url: ${ r.req.url }\nrel: ${ r.rel }\nabs: ${ r.abs }`)
+        delete headers['authorization']
+        const cookies = String(headers['cookie'] || '').split(/;\s*/).filter(cookie => cookie && !cookie.startsWith(`${ tokenCookie }=`))
+        if (cookies.length) headers['cookie'] = cookies.join('; ')
+        else delete headers['cookie']
+    }
 
-        // 405
+    const forwardedFor = req.headers['x-forwarded-for']
+    headers['x-forwarded-for'] = (forwardedFor ? forwardedFor + ', ' : '') + req.socket.remoteAddress
+    headers['x-forwarded-proto'] = secure ? 'https' : 'http'
+    headers['x-forwarded-host'] = req.headers['host'] || req.headers[':authority'] || ''
+    headers['host'] = target.host
+    return headers
+}
 
-        if (req.method !== 'GET')
-        {
-            this.sendStatus(r, 405, `method not allowed: ${ req.method }`)
-            return
-        }
+/**
+@param {string} url - request url
+@returns {boolean} whether the decoded path has . or .. segments, which the target's url parser would resolve. \\ separates
+segments for it as well
+*/
 
-        // 404 #1
+function dotSegments (url)
+{
+    let pathname = url.split('?')[0]
+    try { pathname = decodeURIComponent(pathname) } catch {}
+    return pathname.split(/[\\/]/).some(segment => segment === '.' || segment === '..')
+}
 
-        if (!req.url.startsWith(`/${ this.config.baseurl }`) &&
-            req.url !== `/${ this.config.baseurl }/`)
-        {
-            this.sendStatus(r, 404, `not found`)
-            return
-        }
+/**
+@param {URL} base - target of a proxy rule
+@param {string} url - request url
+@returns {URL} the request url's path appended to the base path, on the base origin. the url is never resolved against the
+base, so that a path like //host/ can't pick another origin
+*/
 
-        //
+function proxyTarget (base, url)
+{
+    const qpos = url.indexOf('?')
+    const target = new URL(base.href)
+    target.pathname = base.pathname.replace(/\/$/, '') + (qpos === -1 ? url : url.slice(0, qpos))
+    target.search = qpos === -1 ? '' : url.slice(qpos)
+    return target
+}
 
-        let stats
-        try
-        {
-            stats = fs.statSync(r.abs)
-        }
-        catch (err)
-        {
-            if (err.code === 'ENOENT')
-            {
-                this.sendStatus(r, 404, 'not found')
-            }
-            else
-            {
-                this.sendStatus(r, 500, err.message)
-            }
+// rules
 
-            return
-        }
+const ruleFiles = ['_headers', '_redirects'] // read from mount roots if config.rulefiles, not served themselves
 
-        if (stats.isFile())
+/**
+compiles a _headers / _redirects path pattern: `:name` matches a path segment, `*` anything including slashes (as :splat).
+a trailing /* also matches the bare prefix
+@param {string} pattern - e.g. /news/:year/*
+@returns {{regex: RegExp, names: string[]}}
+*/
+
+function compilePattern (pattern)
+{
+    pattern = '/' + pattern.replace(/^\/+/, '')
+    const rest = pattern.length > 1 && pattern.endsWith('/*')
+    if (rest) pattern = pattern.slice(0, -2)
+    if (pattern.length > 1) pattern = pattern.replace(/\/+$/, '')
+
+    const names = []
+    let source = ''
+
+    for (const token of pattern.match(/\*|:[A-Za-z_]\w*|[^*:]+|:/g) || [])
+    {
+        if (token === '*')
         {
-            this.sendFile(r)
+            names.push('splat')
+            source += '(.*)'
         }
-        else if (stats.isDirectory())
+        else if (token.length > 1 && token[0] === ':')
         {
-            if (this.config.servedir)
-            {
-                this.sendDir(r)
-            }
-            else
-            {
-                this.sendStatus(r, 400, 'the server is not configured to serve directories')
-            }
+            names.push(token.slice(1))
+            source += '([^/]+)'
         }
         else
         {
-            this.sendStatus(r, 400, 'the requested item is not a file or directory')
+            source += token.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
         }
     }
 
-    sendStatus (r, code, msg)
+    if (rest)
     {
-        this.log(`RES #${ r.id } [status] ${ code } ${ msg }`)
-        r.headers['content-type'] = 'text/plain'
-        r.res.writeHead(code, r.headers)
-        r.res.end(`${ code } : ${ msg }`)
+        names.push('splat')
+        source = source.replace(/\/$/, '') + '(?:/(.*))?'
     }
 
-    sendFile (r)
-    {
-        const ext = path.parse(r.abs).ext.slice(1).toLowerCase()
-        r.headers['content-type'] = this.config.mimes[ext] || mimes[ext] || `application/octet-stream`
-        r.res.writeHead(200, r.headers)
+    return { regex: new RegExp(`^${ source }/?$`), names }
+}
 
-        const stream = fs.createReadStream(r.abs)
+/**
+@param {{regex: RegExp, names: string[]}} compiled - see compilePattern
+@param {string} pathname - decoded, relative to the mount baseurl, with a leading slash
+@returns {Object.<string, string>|null} placeholder values, null if the pattern doesn't match
+*/
 
-        stream.on('data', chunk => r.res.write(chunk))
+function matchPattern (compiled, pathname)
+{
+    const match = compiled.regex.exec(pathname)
+    if (!match) return null
 
-        stream.on('error', err => // example: /proc/1/attr/apparmor/exec
-        {
-            r.res.end()
-            this.debug(err)
-            this.log(`RES #${ r.id } [file] error: ${ err.message || err }`)
-        })
+    const params = {}
+    compiled.names.forEach((name, i) => params[name] = match[i + 1] || '')
+    return params
+}
 
-        stream.on('end', () =>
-        {
-            r.res.end()
-            this.log(`RES #${ r.id } [file] OK`)
-        })
-    }
+/**
+parses a _redirects line: `from to [status][!]`. status defaults to 301. 200 rewrites and 4xx serve the target instead,
+only if the requested item doesn't exist unless forced with !
+@param {string} line
+@returns {{from: Object, to: string, status: number, force: boolean}}
+*/
 
-    sendDir (r)
+function parseRedirect (line)
+{
+    const [from, to, code = '301'] = line.trim().split(/\s+/)
+    if (!from || !to) throw new Error(`expected: from to [status]`)
+    if (!from.startsWith('/')) throw new Error(`path must start with /: ${ from }`)
+
+    const match = /^(\d{3})(!?)$/.exec(code)
+    const status = match ? Number(match[1]) : 0
+    if (!(status === 200 || status >= 300 && status < 309 || status >= 400 && status < 500)) throw new Error(`unsupported status: ${ code }`)
+
+    const external = /^[a-z][a-z\d+.-]*:/i.test(to)
+    if (!external && !to.startsWith('/')) throw new Error(`target must be a path or an absolute url: ${ to }`)
+    if (external && (status < 300 || status >= 400)) throw new Error(`only redirects can target absolute urls: ${ to }`)
+
+    return { from: compilePattern(from), to, status, force: match[2] === '!' }
+}
+
+/**
+@param {string} text - _redirects file contents. # starts a comment
+@param {(msg: string) => void} warn - called for invalid lines, which are skipped
+*/
+
+function parseRedirects (text, warn)
+{
+    const rules = []
+
+    text.split(/\r?\n/).forEach((line, i) =>
     {
-        const items = []
+        line = line.replace(/(^|\s)#.*$/, '').trim()
+        if (!line) return
+
+        try { rules.push(parseRedirect(line)) }
+        catch (err) { warn(`line ${ i + 1 }: ${ err.message }`) }
+    })
+
+    return rules
+}
+
+/**
+parses a _headers file: unindented path patterns, each followed by indented `name: value` lines. `! name` removes a header.
+repeated names within a rule are joined with commas
+@param {string} text
+@param {(msg: string) => void} warn - called for invalid lines, which are skipped
+@returns {Array.<{path: Object, headers: Object.<string, string>}>} removed headers have empty values
+*/
 
-        for (const dirent of fs.readdirSync(r.abs, { withFileTypes: true }))
+function parseHeaders (text, warn)
+{
+    const rules = []
+
+    text.split(/\r?\n/).forEach((line, i) =>
+    {
+        if (/^\s*(#|$)/.test(line)) return
+
+        if (!/^\s/.test(line))
         {
-            if (dirent.isFile() || dirent.isDirectory())
-            {
-                const stat = fs.statSync(`${ r.abs }/${ dirent.name }`)
+            if (line.startsWith('/')) rules.push({ path: compilePattern(line.trim()), headers: {} })
+            else warn(`line ${ i + 1 }: path must start with /`)
+            return
+        }
 
-                if (dirent.isFile())
-                {
-                    items.push({ type: 'file', name: dirent.name, size: stat.size, time: stat.ctime.toISOString() })
-                }
-                else if (dirent.isDirectory())
-                {
-                    let size
-                    try
-                    {
-                        size = fs.readdirSync(`${ r.abs }/${ dirent.name }`).length
-                    }
-                    catch (err)
-                    {
-                        size = 'N/A'
-                    }
+        const rule = rules[rules.length - 1]
+        const match = /^\s*(?:!\s*([^\s:]+)|([^\s:]+)\s*:\s*(.*))$/.exec(line)
 
-                    items.push({ type: 'dir', name: dirent.name, size, time: stat.ctime.toISOString() })
-                }
-            }
-            else
-            {
-                items.push({ type: 'etc', name: dirent.name })
-            }
+        if (!rule || !match)
+        {
+            warn(`line ${ i + 1 }: ${ rule ? 'expected name: value' : 'header outside of a path rule' }`)
+            return
         }
 
-        r.headers['content-type'] = 'text/html'
-        r.res.writeHead(200, r.headers)
-        r.res.end(dirview(this.config, r.rel, items))
-        this.log(`RES #${ r.id } [dir] OK`)
+        const key = (match[1] || match[2]).toLowerCase()
+        const val = match[1] ? '' : match[3].trim()
+        rule.headers[key] = rule.headers[key] && val ? `${ rule.headers[key] }, ${ val }` : val
+    })
+
+    return rules
+}
+
+// cors
+
+/**
+@param {string[]|function(string, R): boolean} origins - config.cors.origins. * in an entry matches any characters, e.g. http://localhost:*
+@param {string} origin - Origin request header
+@param {R} r
+*/
+
+function originAllowed (origins, origin, r)
+{
+    if (typeof origins === 'function') return Boolean(origins(origin, r))
+
+    return origins.some(allowed => allowed === '*' || allowed === origin ||
+        allowed.includes('*') && new RegExp(`^${ allowed.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') }$`).test(origin))
+}
+
+// auth
+
+const tokenCookie = 'rxfs-token' // set when a share link with ?token= is opened, so that its links work without the token
+
+/**
+@param {string} url - request url
+@param {string} [mask] - replaces the value of ?token=. without it, the parameter is removed
+@returns {string} the url without its ?token= secret
+*/
+
+function redactToken (url, mask)
+{
+    const qpos = url.indexOf('?')
+    if (qpos === -1) return url
+
+    const params = []
+
+    for (const param of url.slice(qpos + 1).split('&'))
+    {
+        let name = param.split('=')[0]
+        try { name = decodeURIComponent(name.replace(/\+/g, ' ')) } catch {}
+        if (name !== 'token') params.push(param)
+        else if (mask) params.push(`token=${ mask }`)
     }
 
-    /** @param {string} msg */
+    return url.slice(0, qpos) + (params.length ? `?${ params.join('&') }` : '')
+}
 
-    log (msg)
+/** @param {string} a @param {string} b - compared in constant time */
+
+function safeEqual (a, b)
+{
+    const hash = str => crypto.createHash('sha256').update(String(str)).digest()
+    return crypto.timingSafeEqual(hash(a), hash(b))
+}
+
+/**
+apache md5 crypt, the default of htpasswd
+@param {string} password
+@param {string} salt - up to 8 characters
+@returns {string} $apr1$salt$hash
+*/
+
+function apr1 (password, salt)
+{
+    const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest()
+    const magic = Buffer.from('$apr1$')
+    const pw = Buffer.from(password)
+    salt = Buffer.from(salt.slice(0, 8))
+
+    let final = md5(pw, salt, pw)
+    const parts = [pw, magic, salt]
+    for (let len = pw.length; len > 0; len -= 16) parts.push(final.subarray(0, Math.min(16, len)))
+    for (let i = pw.length; i; i >>= 1) parts.push(i & 1 ? Buffer.alloc(1) : pw.subarray(0, 1))
+    final = md5(...parts)
+
+    for (let i = 0; i < 1000; i++)
     {
-        const d = new Date()
-        if (this.config.verbose) console.log(`${ xdDatetimeFormat(d, `{hh24}:{mm}:{ss}.{msmsms}`) } ${ msg }`)
-        if (this.logfile) this.logfile.write(`${ xdDatetimeFormat(d, `{yyyy}-{MM}-{dd} {hh24}:{mm}:{ss}.{msmsms} ({tzs}{tzhh}:{tzmm})`) } ${ msg }\n`)
+        final = md5(i & 1 ? pw : final, i % 3 ? salt : Buffer.alloc(0), i % 7 ? pw : Buffer.alloc(0), i & 1 ? final : pw)
     }
 
-    /** @param {*} msg */
+    const itoa64 = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+    const to64 = (v, n) => { let out = ''; while (n--) { out += itoa64[v & 0x3f]; v >>= 6 } return out }
+    const f = final
 
-    debug (msg)
+    return `$apr1$${ salt }$` +
+        to64(f[0] << 16 | f[6] << 8 | f[12], 4) + to64(f[1] << 16 | f[7] << 8 | f[13], 4) + to64(f[2] << 16 | f[8] << 8 | f[14], 4) +
+        to64(f[3] << 16 | f[9] << 8 | f[15], 4) + to64(f[4] << 16 | f[10] << 8 | f[5], 4) + to64(f[11], 2)
+}
+
+/** whether an htpasswd hash can be verified: $apr1$ (htpasswd -m, the default) and {SHA} (htpasswd -s) */
+
+function hashSupported (hash)
+{
+    return /^\$apr1\$[^$]{0,8}\$[./0-9A-Za-z]{22}$/.test(hash) || /^\{SHA\}[A-Za-z0-9+/]{27}=$/.test(hash)
+}
+
+/**
+@param {string} hash - see hashSupported
+@param {string} password
+*/
+
+function checkPassword (hash, password)
+{
+    if (hash.startsWith('{SHA}')) return safeEqual(hash, '{SHA}' + crypto.createHash('sha1').update(password).digest('base64'))
+    if (hash.startsWith('$apr1$')) return safeEqual(hash, apr1(password, hash.split('$')[2]))
+    return false
+}
+
+/**
+@param {string} text - htpasswd file contents: user:hash lines
+@returns {Object.<string, string>} user -> hash
+*/
+
+function parseHtpasswd (text)
+{
+    const users = {}
+
+    for (const line of text.split(/\r?\n/))
     {
-        if (this.config.debug) console.log(msg)
+        if (!line.trim() || line.startsWith('#')) continue
+        const pos = line.indexOf(':')
+        if (pos > 0) users[line.slice(0, pos)] = line.slice(pos + 1).trim()
     }
+
+    return users
 }
 
-// dirview
+/**
+@param {string[]} cidrs - addresses or subnets such as 192.168.1.0/24, fd00::/8
+@returns {net.BlockList|null} null if cidrs is empty
+*/
 
-const formatBytes = function (b)
+function blockList (cidrs)
 {
-    if (b < 1024)
+    if (!cidrs.length) return null
+    if (!net.BlockList) throw new Error(`address lists need node 14.18 or newer, running ${ process.version }`)
+    const list = new net.BlockList()
+
+    for (const cidr of cidrs)
     {
-        return b + ' B'
+        const [address, prefix] = cidr.split('/')
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4'
+        if (!net.isIP(address)) throw new Error(`invalid address: ${ cidr }`)
+
+        if (prefix === undefined)
+        {
+            list.addAddress(address, type)
+        }
+        else
+        {
+            if (!/^\d+$/.test(prefix) || Number(prefix) > (type === 'ipv6' ? 128 : 32)) throw new Error(`invalid prefix length: ${ cidr }`)
+            list.addSubnet(address, Number(prefix), type)
+        }
     }
-    else if (b < 1024 * 1024)
+
+    return list
+}
+
+/** @param {string} address - remote address, ipv4-mapped ipv6 addresses are unmapped */
+
+function inList (list, address)
+{
+    address = String(address).replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '')
+    return net.isIP(address) ? list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4') : false
+}
+
+// uploads
+
+/**
+a write stream to a temporary file next to abs, so that readers never see partial files
+@param {string} abs
+@returns {{stream: fs.WriteStream, commit: (cb: (err?: Error) => void) => void, discard: () => void}}
+commit() ends the stream and renames the file over abs, discard() removes it
+*/
+
+function atomicWriter (abs)
+{
+    const temp = `${ path.dirname(abs) }/.${ path.basename(abs) }.rxfs-${ crypto.randomBytes(6).toString('hex') }.tmp`
+    const stream = fs.createWriteStream(temp, { flags: 'wx' })
+    const closed = (fn) => stream.closed ? fn() : stream.once('close', fn)
+    let discarded = false
+
+    return {
+        stream,
+        commit: (cb) =>
+        {
+            if (!stream.writableEnded) stream.end()
+            closed(() => discarded ? cb(new Error('discarded')) : stream.errored ? cb(stream.errored) : fs.rename(temp, abs, cb))
+        },
+        discard: () =>
+        {
+            discarded = true
+            stream.destroy()
+            closed(() => fs.unlink(temp, () => {}))
+        }
+    }
+}
+
+/**
+@param {string} name - client supplied file name, may contain a relative path (directory uploads)
+@returns {string} normalized relative path, empty if it's unusable
+*/
+
+function uploadPath (name)
+{
+    const rel = path.posix.normalize('/' + name.replace(/\\/g, '/')).replace(/^\/+|\/+$/g, '')
+    return rel.includes('\0') ? '' : rel
+}
+
+/**
+@param {string} header - e.g. form-data; name="files"; filename="a.txt"
+@returns {Object.<string, string>} parameters by lowercase name. filename* (rfc 5987) is decoded into filename
+*/
+
+function headerParams (header)
+{
+    const params = {}
+
+    for (const [, key, val] of header.matchAll(/;\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g))
     {
-        return (b / 1024).toFixed(2) + ' K' // kib
+        params[key.toLowerCase()] = val.startsWith('"') ? val.slice(1, -1).replace(/\\(.)/g, '$1') : val.trim()
     }
-    else if (b < 1024 * 1024 * 1024)
+
+    if (params['filename*'])
     {
-        return (b / 1024 / 1024).toFixed(2) + ' M' // mib
+        try { params['filename'] = decodeURIComponent(params['filename*'].replace(/^[^']*'[^']*'/, '')) } catch {}
     }
-    else
+
+    return params
+}
+
+/**
+streaming multipart/form-data parser. part bodies are written to the streams returned by onPart, pausing the input while they're busy
+@param {stream.Readable} input
+@param {string} boundary
+@param {(headers: Object.<string, string>) => stream.Writable|null} onPart - null skips the part. the stream is ended with the part
+@param {(err?: Error) => void} done - called once, after the closing delimiter or on errors
+*/
+
+function multipart (input, boundary, onPart, done)
+{
+    const delimiter = Buffer.from(`\r\n--${ boundary }`)
+    let buffer = Buffer.from('\r\n') // the first delimiter isn't preceded by a line break
+    let state = 'preamble' // preamble / next / headers / body / epilogue
+    let sink = null
+    let finished = false
+
+    const finish = (err) =>
     {
-        return (b / 1024 / 1024 / 1024).toFixed(2) + ' G' // gib
+        if (finished) return
+        finished = true
+        if (err && sink) sink.destroy()
+        done(err)
+    }
+
+    const write = (chunk) =>
+    {
+        if (!sink || !chunk.length) return
+        if (!sink.write(chunk)) { input.pause(); sink.once('drain', () => input.resume()) }
+    }
+
+    const parse = () =>
+    {
+        while (!finished)
+        {
+            if (state === 'preamble' || state === 'body')
+            {
+                const pos = buffer.indexOf(delimiter)
+
+                if (pos === -1) // keep what may be the start of a delimiter
+                {
+                    const keep = Math.min(buffer.length, delimiter.length - 1)
+                    if (state === 'body') write(buffer.subarray(0, buffer.length - keep))
+                    buffer = buffer.subarray(buffer.length - keep)
+                    return
+                }
+
+                if (state === 'body')
+                {
+                    write(buffer.subarray(0, pos))
+                    if (sink) sink.end()
+                    sink = null
+                }
+
+                buffer = buffer.subarray(pos + delimiter.length)
+                state = 'next'
+            }
+            else if (state === 'next')
+            {
+                if (buffer.length < 2) return
+                const next = buffer.subarray(0, 2).toString()
+
+                if (next === '--')
+                {
+                    state = 'epilogue'
+                }
+                else if (next === '\r\n')
+                {
+                    buffer = buffer.subarray(2)
+                    state = 'headers'
+                }
+                else
+                {
+                    finish(new Error('malformed multipart body'))
+                }
+            }
+            else if (state === 'headers')
+            {
+                const pos = buffer.indexOf('\r\n\r\n')
+
+                if (pos === -1)
+                {
+                    if (buffer.length > 16384) finish(new Error('multipart headers too large'))
+                    return
+                }
+
+                const headers = {}
+
+                for (const line of buffer.subarray(0, pos).toString().split('\r\n'))
+                {
+                    const colon = line.indexOf(':')
+                    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim()
+                }
+
+                buffer = buffer.subarray(pos + 4)
+                state = 'body'
+                sink = onPart(headers)
+            }
+            else // epilogue
+            {
+                buffer = Buffer.alloc(0)
+                return
+            }
+        }
     }
+
+    input.on('data', chunk =>
+    {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk
+        parse()
+    })
+
+    input.on('end', () => finish(state === 'epilogue' ? undefined : new Error('unexpected end of multipart body')))
+    input.on('error', finish)
+    input.on('close', () => finish(new Error('request closed')))
 }
 
-const formatDate = function (d)
+// archives
+
+/** ?download= formats of directory urls */
+
+const archiveFormats =
 {
-    if (typeof d === 'string') d = new Date(d)
-    return xdDatetimeFormat(d, `{yyyy}-{MM}-{dd} {hh24}:{mm}:{ss} ({tzs}{tzhh}:{tzmm})`)
+    'zip': { type: 'application/zip', ext: '.zip' },
+    'tar': { type: 'application/x-tar', ext: '.tar' },
+    'tar.gz': { type: 'application/gzip', ext: '.tar.gz' }
+}
+
+const crcTable = Array.from({ length: 256 }, (_, n) =>
+{
+    for (let k = 0; k < 8; k++) n = n & 1 ? 0xEDB88320 ^ (n >>> 1) : n >>> 1
+    return n >>> 0
+})
+
+/**
+zlib.crc32 where available (node 20.15+)
+@param {Buffer} data
+@param {number} [value] - crc of the preceding data
+*/
+
+const crc32 = zlib.crc32 || function (data, value = 0)
+{
+    let crc = ~value
+    for (const byte of data) crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+    return ~crc >>> 0
+}
+
+/** @param {number} size - of the preceding data. zeros up to the next 512 byte block */
+
+function tarPadding (size)
+{
+    return Buffer.alloc((512 - size % 512) % 512)
+}
+
+/**
+@param {string} key
+@param {string} value
+@returns {string} pax extended header record. its length prefix counts itself
+*/
+
+function paxRecord (key, value)
+{
+    const bytes = Buffer.byteLength(` ${ key }=${ value }\n`)
+    const len = bytes + String(bytes + String(bytes).length).length
+    return `${ len } ${ key }=${ value }\n`
+}
+
+/**
+ustar header of a file or directory, preceded by a pax extended header if the name or the size don't fit into it
+@param {string} name - path in the archive. directories end with a slash
+@param {fs.Stats} stats
+@returns {Buffer}
+*/
+
+function tarHeader (name, stats)
+{
+    const size = stats.isDirectory() ? 0 : stats.size
+    const type = stats.isDirectory() ? '5' : '0'
+
+    const block = (name, size, type) =>
+    {
+        const buf = Buffer.alloc(512)
+        const octal = (num, offset, length) => buf.write(Math.min(num, 8 ** (length - 1) - 1).toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii')
+
+        buf.write(name, 0, 100) // truncated at a character boundary
+        octal(stats.mode & 0o7777, 100, 8)
+        octal(0, 108, 8) // uid
+        octal(0, 116, 8) // gid
+        octal(size, 124, 12)
+        octal(Math.floor(stats.mtimeMs / 1000), 136, 12)
+        buf.write(' '.repeat(8), 148, 'ascii') // the checksum counts its own field as spaces
+        buf.write(type, 156, 'ascii')
+        buf.write('ustar\x0000', 257, 'ascii')
+
+        let sum = 0
+        for (const byte of buf) sum += byte
+        buf.write(`${ sum.toString(8).padStart(6, '0') }\0 `, 148, 'ascii')
+        return buf
+    }
+
+    let pax = ''
+    if (Buffer.byteLength(name) > 100) pax += paxRecord('path', name)
+    if (size > 0o77777777777) pax += paxRecord('size', String(size))
+    if (!pax) return block(name, size, type)
+
+    const records = Buffer.from(pax)
+    return Buffer.concat([block('PaxHeader', records.length, 'x'), records, tarPadding(records.length), block(name, size, type)])
+}
+
+/**
+zip archive written in one pass. file data is followed by a data descriptor, since its crc and compressed size are only known afterwards,
+and the central directory is built from the recorded entries at the end. zip64 fields are used where sizes or offsets need them
+@returns {{local: Function, descriptor: Function, end: Function}} each returns the bytes to write next:<br>
+local(name, stats, deflate) before the data of an entry, descriptor(crc, csize, size) after the data of a file, end() after the last entry
+*/
+
+function zipWriter ()
+{
+    const entries = []
+    let offset = 0
+
+    return {
+        local: (name, stats, deflate) =>
+        {
+            const dir = stats.isDirectory()
+            const d = stats.mtime
+            const entry =
+            {
+                name: Buffer.from(name),
+                dir,
+                method: deflate ? 8 : 0,
+                flags: dir ? 0x800 : 0x808, // utf-8 names, sizes in a data descriptor
+                time: d.getHours() << 11 | d.getMinutes() << 5 | d.getSeconds() >> 1,
+                date: Math.max(d.getFullYear() - 1980, 0) << 9 | (d.getMonth() + 1) << 5 | d.getDate(),
+                mode: stats.mode,
+                offset,
+                zip64: !dir && stats.size > 0xF0000000, // with room for deflate growing incompressible data
+                crc: 0,
+                csize: 0,
+                size: 0
+            }
+
+            const header = Buffer.alloc(30)
+            header.writeUInt32LE(0x04034b50, 0)
+            header.writeUInt16LE(entry.zip64 ? 45 : 20, 4)
+            header.writeUInt16LE(entry.flags, 6)
+            header.writeUInt16LE(entry.method, 8)
+            header.writeUInt16LE(entry.time, 10)
+            header.writeUInt16LE(entry.date, 12)
+            if (entry.zip64) header.writeUInt32LE(0xFFFFFFFF, 18)
+            if (entry.zip64) header.writeUInt32LE(0xFFFFFFFF, 22)
+            header.writeUInt16LE(entry.name.length, 26)
+
+            const extra = Buffer.alloc(entry.zip64 ? 20 : 0) // zip64 sizes, left at 0 until the descriptor
+
+            if (entry.zip64)
+            {
+                extra.writeUInt16LE(1, 0)
+                extra.writeUInt16LE(16, 2)
+            }
+
+            header.writeUInt16LE(extra.length, 28)
+            entries.push(entry)
+
+            const buf = Buffer.concat([header, entry.name, extra])
+            offset += buf.length
+            return buf
+        },
+
+        descriptor: (crc, csize, size) =>
+        {
+            const entry = entries[entries.length - 1]
+            Object.assign(entry, { crc, csize, size })
+
+            const buf = Buffer.alloc(entry.zip64 ? 24 : 16)
+            buf.writeUInt32LE(0x08074b50, 0)
+            buf.writeUInt32LE(crc, 4)
+
+            if (entry.zip64)
+            {
+                buf.writeBigUInt64LE(BigInt(csize), 8)
+                buf.writeBigUInt64LE(BigInt(size), 16)
+            }
+            else
+            {
+                buf.writeUInt32LE(csize, 8)
+                buf.writeUInt32LE(size, 12)
+            }
+
+            offset += csize + buf.length
+            return buf
+        },
+
+        end: () =>
+        {
+            const start = offset
+
+            const central = Buffer.concat(entries.map(entry =>
+            {
+                const big = []
+                if (entry.zip64) big.push(entry.size, entry.csize)
+                if (entry.offset >= 0xFFFFFFFF) big.push(entry.offset)
+
+                const extra = Buffer.alloc(big.length ? 4 + 8 * big.length : 0)
+
+                if (big.length)
+                {
+                    extra.writeUInt16LE(1, 0)
+                    extra.writeUInt16LE(8 * big.length, 2)
+                    big.forEach((n, i) => extra.writeBigUInt64LE(BigInt(n), 4 + 8 * i))
+                }
+
+                const header = Buffer.alloc(46)
+                header.writeUInt32LE(0x02014b50, 0)
+                header.writeUInt16LE(0x032d, 4) // made by unix, so that the mode in the external attributes is used
+                header.writeUInt16LE(big.length ? 45 : 20, 6)
+                header.writeUInt16LE(entry.flags, 8)
+                header.writeUInt16LE(entry.method, 10)
+                header.writeUInt16LE(entry.time, 12)
+                header.writeUInt16LE(entry.date, 14)
+                header.writeUInt32LE(entry.crc, 16)
+                header.writeUInt32LE(entry.zip64 ? 0xFFFFFFFF : entry.csize, 20)
+                header.writeUInt32LE(entry.zip64 ? 0xFFFFFFFF : entry.size, 24)
+                header.writeUInt16LE(entry.name.length, 28)
+                header.writeUInt16LE(extra.length, 30)
+                header.writeUInt32LE(((entry.mode & 0xFFFF) << 16 | (entry.dir ? 0x10 : 0)) >>> 0, 38)
+                header.writeUInt32LE(Math.min(entry.offset, 0xFFFFFFFF), 42)
+                return Buffer.concat([header, entry.name, extra])
+            }))
+
+            const count = entries.length
+            const parts = [central]
+
+            if (count >= 0xFFFF || start >= 0xFFFFFFFF || central.length >= 0xFFFFFFFF)
+            {
+                const record = Buffer.alloc(56)
+                record.writeUInt32LE(0x06064b50, 0)
+                record.writeBigUInt64LE(44n, 4)
+                record.writeUInt16LE(0x032d, 12)
+                record.writeUInt16LE(45, 14)
+                record.writeBigUInt64LE(BigInt(count), 24)
+                record.writeBigUInt64LE(BigInt(count), 32)
+                record.writeBigUInt64LE(BigInt(central.length), 40)
+                record.writeBigUInt64LE(BigInt(start), 48)
+
+                const locator = Buffer.alloc(20)
+                locator.writeUInt32LE(0x07064b50, 0)
+                locator.writeBigUInt64LE(BigInt(start + central.length), 8)
+                locator.writeUInt32LE(1, 16)
+
+                parts.push(record, locator)
+            }
+
+            const end = Buffer.alloc(22)
+            end.writeUInt32LE(0x06054b50, 0)
+            end.writeUInt16LE(Math.min(count, 0xFFFF), 8)
+            end.writeUInt16LE(Math.min(count, 0xFFFF), 10)
+            end.writeUInt32LE(Math.min(central.length, 0xFFFFFFFF), 12)
+            end.writeUInt32LE(Math.min(start, 0xFFFFFFFF), 16)
+            parts.push(end)
+
+            return Buffer.concat(parts)
+        }
+    }
+}
+
+// search
+
+const searchPatternMax = 256 // characters of a ?search= glob
+
+/**
+@param {string} term - of ?search=. with * ? or [ ] it's a glob for the name, or for the relative path if it contains a slash.
+** matches across directories. otherwise names that contain the term match. case-insensitive. a bracket with nothing in it
+is literal. globs are matched as a state machine, in time linear in the length of the name and of the glob
+@returns {(name: string, relpath: string) => boolean}
+@throws {Error} if the glob is invalid, e.g. [z-a], or longer than searchPatternMax
+*/
+
+function searchMatcher (term)
+{
+    if (!/[*?[]/.test(term))
+    {
+        const lower = term.toLowerCase()
+        return name => name.toLowerCase().includes(lower)
+    }
+
+    if (term.length > searchPatternMax) throw new Error(`invalid search pattern: longer than ${ searchPatternMax } characters`)
+
+    // states: { on: [[test, state]] transitions by a character, skip: state reached without one }. the last state accepts
+
+    const states = []
+    const any = () => true
+    const single = c => c !== '/'
+    const slash = c => c === '/'
+
+    for (const token of term.toLowerCase().match(/\*\*\/|\*\*|\*|\?|\[(?:!(?=[^\]])|(?!!))[^\]]+\]|[^*?[]+|\[/g))
+    {
+        const i = states.length
+
+        if (token === '**/')
+        {
+            // (?:.*/)? as an entry state and a state inside the directories
+            states.push({ on: [[any, i + 1], [slash, i + 2]], skip: i + 2 })
+            states.push({ on: [[any, i + 1], [slash, i + 2]] })
+        }
+        else if (token === '**') states.push({ on: [[any, i]], skip: i + 1 })
+        else if (token === '*') states.push({ on: [[single, i]], skip: i + 1 })
+        else if (token === '?') states.push({ on: [[single, i + 1]] })
+        else if (token.length > 2 && token.startsWith('['))
+        {
+            const negated = token[1] === '!'
+            const chars = [...token.slice(negated ? 2 : 1, -1)]
+            const ranges = []
+
+            for (let k = 0; k < chars.length; k++)
+            {
+                if (chars[k + 1] === '-' && k + 2 < chars.length)
+                {
+                    if (chars[k] > chars[k + 2]) throw new Error(`invalid search pattern: range out of order in ${ token }`)
+                    ranges.push([chars[k], chars[k + 2]])
+                    k += 2
+                }
+                else
+                {
+                    ranges.push([chars[k], chars[k]])
+                }
+            }
+
+            const inSet = c => ranges.some(([from, to]) => c >= from && c <= to)
+            states.push({ on: [[negated ? c => c !== '/' && !inSet(c) : inSet, i + 1]] })
+        }
+        else
+        {
+            for (const char of token) states.push({ on: [[c => c === char, states.length + 1]] })
+        }
+    }
+
+    const accept = states.length
+
+    const add = (set, i) =>
+    {
+        while (!set.has(i))
+        {
+            set.add(i)
+            if (i === accept || states[i].skip === undefined) return
+            i = states[i].skip
+        }
+    }
+
+    // the set of current states is advanced one character at a time
+
+    const test = (text) =>
+    {
+        let current = new Set()
+        add(current, 0)
+
+        for (const c of text.toLowerCase())
+        {
+            const next = new Set()
+
+            for (const i of current)
+            {
+                if (i === accept) continue
+                for (const [match, target] of states[i].on) if (match(c)) add(next, target)
+            }
+
+            if (!next.size) return false
+            current = next
+        }
+
+        return current.has(accept)
+    }
+
+    return term.includes('/') ? (name, relpath) => test(relpath) : name => test(name)
+}
+
+// logging
+
+const logFormats =
+{
+    common: `{remote} - {user} [{dd}/{Mon}/{yyyy}:{hh24}:{mm}:{ss} {tzs}{tzhh}{tzmm}] "{method} {url} {protocol}" {status} {bytes}`,
+    combined: `{remote} - {user} [{dd}/{Mon}/{yyyy}:{hh24}:{mm}:{ss} {tzs}{tzhh}{tzmm}] "{method} {url} {protocol}" {status} {bytes} "{referer}" "{useragent}"`
+}
+
+const logPeriods = { daily: '{yyyy}-{MM}-{dd}', hourly: '{yyyy}-{MM}-{dd}-{hh24}' } // config.logrotate -> rotated file suffix
+
+/**
+@param {*} chunk - as passed to http.ServerResponse write() / end()
+@param {*} [encoding]
+@returns {number} byte length
+*/
+
+function chunkLength (chunk, encoding)
+{
+    if (!chunk || typeof chunk === 'function') return 0
+    if (typeof chunk === 'string') return Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8')
+    return chunk.length
+}
+
+/**
+@param {Object.<string, number>} timings - see R.timings
+@returns {string} Server-Timing header value, e.g. stat;dur=0.051, headers;dur=1.203
+*/
+
+function serverTiming (timings)
+{
+    return Object.entries(timings).map(([phase, ms]) => `${ phase };dur=${ ms.toFixed(3) }`).join(', ')
+}
+
+/**
+fills a config.logformat template. request tokens take precedence, the rest are passed to xdDatetimeFormat
+@param {string} template - e.g. logFormats.common
+@param {Date} date
+@param {Object.<string, *>} fields - request tokens without braces, see RXFS.access
+*/
+
+function formatAccess (template, date, fields)
+{
+    return template.replace(/{.*?}/g, token =>
+    {
+        const key = token.slice(1, -1)
+        if (!fields.hasOwnProperty(key)) return xdDatetimeFormat(date, token)
+        return String(fields[key]).replace(/["\\\x00-\x1f\x7f]/g, c => `\\x${ c.charCodeAt(0).toString(16).padStart(2, '0') }`)
+    })
+}
+
+// tls
+
+/** minimal der encoder for the certificate structures below */
+
+const der = function (tag, ...contents)
+{
+    const body = Buffer.concat(contents)
+    const len = []
+    for (let n = body.length; n > 0; n = Math.floor(n / 256)) len.unshift(n % 256)
+    const head = body.length < 128 ? [tag, body.length] : [tag, 0x80 | len.length, ...len]
+    return Buffer.concat([Buffer.from(head), body])
+}
+
+const asn1 =
+{
+    seq: (...contents) => der(0x30, ...contents),
+    set: (...contents) => der(0x31, ...contents),
+    explicit: (n, ...contents) => der(0xa0 | n, ...contents),
+    int: (buf) => der(0x02, buf),
+    bool: (val) => der(0x01, Buffer.from([val ? 0xff : 0])),
+    bits: (buf) => der(0x03, Buffer.from([0]), buf),
+    octets: (buf) => der(0x04, buf),
+    utf8: (str) => der(0x0c, Buffer.from(str)),
+    time: (date) => der(0x17, Buffer.from(date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z')), // UTCTime, valid until 2049
+    oid: (str) =>
+    {
+        const [a, b, ...rest] = str.split('.').map(Number)
+        const bytes = [40 * a + b]
+
+        for (let n of rest)
+        {
+            const arc = [n & 0x7f]
+            while ((n = Math.floor(n / 128)) > 0) arc.unshift(0x80 | (n & 0x7f))
+            bytes.push(...arc)
+        }
+
+        return der(0x06, Buffer.from(bytes))
+    }
+}
+
+/**
+generates a self-signed P-256 certificate for localhost, 127.0.0.1 and ::1, valid for 397 days (the maximum browsers accept)
+@returns {{cert: string, key: string}} pem
+*/
+
+function selfSignedCert ()
+{
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+    const sigalg = asn1.seq(asn1.oid('1.2.840.10045.4.3.2')) // ecdsa-with-SHA256
+    const name = asn1.seq(asn1.set(asn1.seq(asn1.oid('2.5.4.3'), asn1.utf8('localhost')))) // CN=localhost
+    const serial = crypto.randomBytes(16)
+    serial[0] = (serial[0] & 0x7f) | 0x40 // positive, no leading zero byte
+    const now = Date.now()
+
+    const ipv6loopback = Buffer.alloc(16)
+    ipv6loopback[15] = 1
+
+    const altnames = Buffer.concat([
+        der(0x82, Buffer.from('localhost')), // dNSName
+        der(0x87, Buffer.from([127, 0, 0, 1])), // iPAddress
+        der(0x87, ipv6loopback)
+    ])
+
+    const tbs = asn1.seq(
+        asn1.explicit(0, asn1.int(Buffer.from([2]))), // v3
+        asn1.int(serial),
+        sigalg,
+        name,
+        asn1.seq(asn1.time(new Date(now - 864e5)), asn1.time(new Date(now + 397 * 864e5))),
+        name,
+        publicKey.export({ type: 'spki', format: 'der' }),
+        asn1.explicit(3, asn1.seq(
+            asn1.seq(asn1.oid('2.5.29.19'), asn1.bool(true), asn1.octets(asn1.seq())), // basicConstraints: not a ca
+            asn1.seq(asn1.oid('2.5.29.15'), asn1.bool(true), asn1.octets(der(0x03, Buffer.from([7, 0x80])))), // keyUsage: digitalSignature
+            asn1.seq(asn1.oid('2.5.29.37'), asn1.octets(asn1.seq(asn1.oid('1.3.6.1.5.5.7.3.1')))), // extKeyUsage: serverAuth
+            asn1.seq(asn1.oid('2.5.29.17'), asn1.octets(asn1.seq(altnames))) // subjectAltName
+        ))
+    )
+
+    const cert = asn1.seq(tbs, sigalg, asn1.bits(crypto.sign('sha256', tbs, privateKey)))
+
+    return {
+        cert: `-----BEGIN CERTIFICATE-----\n${ cert.toString('base64').match(/.{1,64}/g).join('\n') }\n-----END CERTIFICATE-----\n`,
+        key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    }
+}
+
+// rxfs
+
+class Config
+{
+    root = '.'
+    port = 1234
+    host = '' // interface to listen on: hostname or ip, e.g. localhost, 192.168.1.10, ::1. all interfaces if empty
+    portfallback = 0 // how many successive ports to try if config.port is in use
+    protocol = 'http' // http / https / http2 (over tls, with http/1.1 fallback)
+    cert = '' // pem certificate file for https / http2. a self-signed localhost certificate is generated if cert and key are empty
+    key = '' // pem private key file
+    redirectport = 0 // https / http2: port of an additional http listener that redirects to https
+    proxy = {} // url path prefix -> target url. the full request path is appended to the target's path
+    proxytimeout = 30000 // ms of proxy socket inactivity before 504
+    baseurl = '/'
+    autoindex = false
+    servedir = true
+    headers = { 'cache-control': `public, max-age=604800, immutable` }
+    mimes = {}
+    logfile = ''
+    logformat = '' // one access record per request instead of REQ / RES lines: common / combined / json / a template of {remote} {user} {method} {url} {protocol} {status} {bytes} {duration} {referer} {useragent} {id} and xdDatetimeFormat tokens
+    logrotate = '' // rotate config.logfile: daily / hourly / at a size such as 10m (k, m, g suffixes)
+    logkeep = 7 // number of rotated log files kept, 0: all
+    timing = false // Server-Timing response headers and a summary of the slowest requests on close
+    verbose = true
+    debug = false
+    livereload = false
+    revalidate = false // replaces config.headers cache-control with no-cache so that every request is revalidated
+    compress = false // gzip / brotli compression of compressible types on the fly
+    compressmin = 1024 // minimum size in bytes for on-the-fly compression
+    precompressed = false // serve existing .br / .gz siblings of requested files
+    writable = false // accept uploads (PUT of raw bodies, multipart POST into a directory), mkdir (POST ?mkdir=name) and DELETE. cross-origin writes are refused unless config.cors names the origin
+    maxupload = 1073741824 // max request body bytes in writable mode
+    searchdepth = 16 // directory levels a ?search= descends into
+    searchlimit = 1000 // max ?search= results
+    searchtime = 10000 // ms after which a ?search= returns what it has found
+    fallback = '' // file served for unmatched extensionless paths (client-side routing), relative to the mount root
+    errorpages = {} // status code -> html file, relative to the mount root
+    followsymlinks = 'root' // root: only to targets inside the mount root / all / none
+    hidedotfiles = false // respond 403 to paths with segments starting with a dot and omit them from listings
+    headerrules = {} // path pattern -> headers added to matching responses, _headers style. an empty value removes the header
+    redirects = [] // _redirects style lines: 'from to [status][!]', e.g. '/news/:year/* /blog/:year/:splat 301'
+    rulefiles = false // also read _headers and _redirects from mount roots. patterns are relative to the mount baseurl
+    cors = {} // { origins: ['http://localhost:*'] or '*' or (origin, r) => boolean, methods: [], headers: [], expose: [], credentials: false, maxage: 0 }. off without origins. empty methods default to all supported, empty headers reflect the preflight's
+    auth = {} // { users: { name: hash }, htpasswd: 'file', realm: 'rxfs', tokens: [], allow: ['192.168.1.0/24'], deny: [] }. basic auth with htpasswd -m / -s hashes, bearer or ?token= tokens, ip lists. off if all are empty
+    mounts = [] // [{ root, baseurl, autoindex, servedir, headers, mimes, headerrules, redirects }], missing keys default to the top-level options. without mounts, the top-level options form the only one
+
+    constructor (opts)
+    {
+        // bulk runtime typecheck and merger of partials with defaults
+
+        for (const key in opts)
+        {
+            if (!this.hasOwnProperty(key))
+            {
+                throw new Error(`unrecognized option: ${ key }`)
+            }
+
+            if (typeof opts[key] !== typeof this[key])
+            {
+                throw new Error(`config.${ key } type error: expected a ${ typeof this[key] }, got ${ typeof opts[key] }`)
+            }
+
+            this[key] = opts[key]
+        }
+
+        // root
+
+        if (!this.root) throw new Error(`config.root can't be an empty string`)
+        this.root = path.resolve(this.root)
+        if (process.platform === 'win32') this.root = this.root.replace(/\\/g, '/')
+
+        // logfile
+
+        if (this.logfile)
+        {
+            this.logfile = path.resolve(this.logfile)
+            if (process.platform === 'win32') this.logfile = this.logfile.replace(/\\/g, '/')
+        }
+
+        // logformat / logrotate / logkeep
+
+        if (this.logformat && this.logformat !== 'json')
+        {
+            if (logFormats[this.logformat]) this.logformat = logFormats[this.logformat]
+
+            try
+            {
+                formatAccess(this.logformat, new Date(), { id: '', remote: '', user: '', method: '', url: '', protocol: '', status: '', bytes: '', duration: '', referer: '', useragent: '' })
+            }
+            catch (err)
+            {
+                throw new Error(`invalid config.logformat: ${ err.message }`)
+            }
+        }
+
+        if (this.logrotate && !logPeriods[this.logrotate])
+        {
+            const match = /^(\d+)([kmg]?)b?$/i.exec(this.logrotate)
+            if (!match || !Number(match[1])) throw new Error(`config.logrotate must be daily, hourly or a size such as 10m, got ${ this.logrotate }`)
+            this.logrotate = Number(match[1]) * 1024 ** ' kmg'.indexOf((match[2] || ' ').toLowerCase())
+        }
+
+        if (!Number.isInteger(this.logkeep) || this.logkeep < 0)
+        {
+            throw new Error(`invalid logkeep specified: ${ this.logkeep }`)
+        }
+
+        // port
+
+        if (!Number.isInteger(this.port) || this.port < 0 || this.port > 65535) // 0: any free port
+        {
+            throw new Error(`invalid port specified: ${ this.port }`)
+        }
+
+        // protocol / cert / key / redirectport
+
+        if (!['http', 'https', 'http2'].includes(this.protocol))
+        {
+            throw new Error(`config.protocol must be one of http, https, http2, got ${ this.protocol }`)
+        }
+
+        if (!this.cert !== !this.key)
+        {
+            throw new Error(`config.cert and config.key must be specified together`)
+        }
+
+        if (this.cert) this.cert = path.resolve(this.cert)
+        if (this.key) this.key = path.resolve(this.key)
+
+        if (!Number.isInteger(this.redirectport) || this.redirectport < 0 || this.redirectport > 65535)
+        {
+            throw new Error(`invalid redirectport specified: ${ this.redirectport }`)
+        }
+
+        // proxy / proxytimeout
+
+        const proxy = {}
+
+        for (const [prefix, target] of Object.entries(this.proxy))
+        {
+            if (typeof target !== 'string') throw new Error(`config.proxy values must be strings`)
+
+            let url
+            try { url = new URL(target) } catch { throw new Error(`config.proxy target is not a valid url: ${ target }`) }
+            if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`config.proxy target must be http or https: ${ target }`)
+
+            proxy['/' + prefix.replace(/^\/+|\/+$/g, '')] = target
+        }
+
+        this.proxy = proxy
+
+        if (!Number.isInteger(this.proxytimeout) || this.proxytimeout < 0)
+        {
+            throw new Error(`invalid proxytimeout specified: ${ this.proxytimeout }`)
+        }
+
+        // portfallback
+
+        if (!Number.isInteger(this.portfallback) || this.portfallback < 0)
+        {
+            throw new Error(`invalid portfallback specified: ${ this.portfallback }`)
+        }
+
+        // baseurl
+
+        this.baseurl = this.baseurl.replace(/\/{2,}/g, '/').replace(/^\//g, '').replace(/\/$/g, '')
+
+        // maxupload
+
+        if (!Number.isInteger(this.maxupload) || this.maxupload < 0)
+        {
+            throw new Error(`invalid maxupload specified: ${ this.maxupload }`)
+        }
+
+        // searchdepth, searchlimit, searchtime
+
+        for (const key of ['searchdepth', 'searchlimit', 'searchtime'])
+        {
+            if (!Number.isInteger(this[key]) || this[key] < 1)
+            {
+                throw new Error(`invalid ${ key } specified: ${ this[key] }`)
+            }
+        }
+
+        // compressmin
+
+        if (!Number.isInteger(this.compressmin) || this.compressmin < 0)
+        {
+            throw new Error(`invalid compressmin specified: ${ this.compressmin }`)
+        }
+
+        // autoindex / servedir
+
+        if (this.autoindex && this.servedir)
+        {
+            throw new Error(`config.autoindex and config.servedir are mutally exclusive`)
+        }
+
+        // headers / mimes
+
+        for (const prop of ['headers', 'mimes'])
+        {
+            for (const val of Object.values(this[prop]))
+            {
+                if (typeof val !== 'string')
+                {
+                    throw new Error(`config.${ prop } values must be strings`)
+                }
+            }
+        }
+
+        // followsymlinks
+
+        if (!['root', 'all', 'none'].includes(this.followsymlinks))
+        {
+            throw new Error(`config.followsymlinks must be one of root, all, none, got ${ this.followsymlinks }`)
+        }
+
+        // fallback / errorpages
+
+        if (this.fallback) this.fallback = this.fallback.replace(/\\/g, '/').replace(/^\/+/, '')
+
+        for (const [code, page] of Object.entries(this.errorpages))
+        {
+            if (!/^[45]\d\d$/.test(code)) throw new Error(`config.errorpages keys must be 4xx or 5xx status codes, got ${ code }`)
+            if (typeof page !== 'string') throw new Error(`config.errorpages values must be strings`)
+        }
+
+        // revalidate
+
+        if (this.revalidate)
+        {
+            const headers = {}
+            for (const key in this.headers) if (key.toLowerCase() !== 'cache-control') headers[key] = this.headers[key]
+            headers['cache-control'] = 'no-cache'
+            this.headers = headers
+        }
+
+        // cors
+
+        const cors = { origins: [], methods: [], headers: [], expose: [], credentials: false, maxage: 0 }
+
+        for (const key in this.cors)
+        {
+            if (!cors.hasOwnProperty(key)) throw new Error(`unrecognized option: cors.${ key }`)
+            cors[key] = this.cors[key]
+        }
+
+        if (cors.origins === '*') cors.origins = ['*']
+
+        if (typeof cors.origins !== 'function' && !(Array.isArray(cors.origins) && cors.origins.every(origin => typeof origin === 'string')))
+        {
+            throw new Error(`config.cors.origins must be '*', an array of strings or a function`)
+        }
+
+        for (const key of ['methods', 'headers', 'expose'])
+        {
+            if (!Array.isArray(cors[key]) || cors[key].some(val => typeof val !== 'string')) throw new Error(`config.cors.${ key } must be an array of strings`)
+        }
+
+        if (typeof cors.credentials !== 'boolean') throw new Error(`config.cors.credentials must be a boolean`)
+        if (!Number.isInteger(cors.maxage) || cors.maxage < 0) throw new Error(`invalid cors.maxage specified: ${ cors.maxage }`)
+
+        cors.methods = cors.methods.map(method => method.toUpperCase())
+        this.cors = cors
+
+        // auth
+
+        const auth = { users: {}, htpasswd: '', realm: 'rxfs', tokens: [], allow: [], deny: [] }
+
+        for (const key in this.auth)
+        {
+            if (!auth.hasOwnProperty(key)) throw new Error(`unrecognized option: auth.${ key }`)
+            if (typeof this.auth[key] !== typeof auth[key]) throw new Error(`config.auth.${ key } type error: expected a ${ typeof auth[key] }, got ${ typeof this.auth[key] }`)
+            auth[key] = this.auth[key]
+        }
+
+        for (const [user, hash] of Object.entries(auth.users))
+        {
+            if (typeof hash !== 'string' || !hashSupported(hash)) throw new Error(`config.auth.users.${ user }: unsupported password hash, expected htpasswd -m ($apr1$) or -s ({SHA})`)
+        }
+
+        for (const key of ['tokens', 'allow', 'deny'])
+        {
+            if (!Array.isArray(auth[key]) || auth[key].some(val => typeof val !== 'string' || !val)) throw new Error(`config.auth.${ key } must be an array of non-empty strings`)
+        }
+
+        for (const key of ['allow', 'deny'])
+        {
+            try { blockList(auth[key]) } catch (err) { throw new Error(`config.auth.${ key }: ${ err.message }`) }
+        }
+
+        if (auth.htpasswd) auth.htpasswd = path.resolve(auth.htpasswd)
+        if (/["\\]/.test(auth.realm)) throw new Error(`config.auth.realm can't contain quotes or backslashes`)
+        this.auth = auth
+
+        // mounts. longest baseurl first, so that the first match is the most specific
+
+        if (!Array.isArray(this.mounts)) throw new Error(`config.mounts must be an array`)
+
+        this.mounts = (this.mounts.length ? this.mounts : [{}])
+            .map((mount, i) => new Mount(mount, this, i))
+            .sort((a, b) => b.baseurl.length - a.baseurl.length)
+
+        for (let i = 1; i < this.mounts.length; i++)
+        {
+            if (this.mounts[i].baseurl === this.mounts[i - 1].baseurl)
+            {
+                throw new Error(`config.mounts: duplicate baseurl: /${ this.mounts[i].baseurl }`)
+            }
+        }
+    }
+}
+
+/** a root directory served under a baseurl */
+
+class Mount
+{
+    root
+    baseurl
+    autoindex
+    servedir
+    headers
+    mimes
+    headerrules
+    redirects
+    realroot // root with symlinks resolved, set by RXFS
+    rules // { headers, redirects } compiled from headerrules and redirects
+
+    /**
+    @param {Object.<string, *>} opts - overrides of the top-level defaults
+    @param {Config} config - validated top-level options
+    @param {number} i - index in config.mounts, for error messages
+    */
+
+    constructor (opts, config, i)
+    {
+        for (const key of ['root', 'baseurl', 'autoindex', 'servedir', 'headers', 'mimes', 'headerrules', 'redirects']) this[key] = config[key]
+
+        if (typeof opts !== 'object' || !opts) throw new Error(`config.mounts[${ i }] must be an object`)
+
+        for (const key in opts)
+        {
+            if (!this.hasOwnProperty(key) || key === 'realroot' || key === 'rules')
+            {
+                throw new Error(`unrecognized option: mounts[${ i }].${ key }`)
+            }
+
+            if (typeof opts[key] !== typeof this[key])
+            {
+                throw new Error(`config.mounts[${ i }].${ key } type error: expected a ${ typeof this[key] }, got ${ typeof opts[key] }`)
+            }
+
+            this[key] = opts[key]
+        }
+
+        // root
+
+        if (!this.root) throw new Error(`config.mounts[${ i }].root can't be an empty string`)
+        this.root = path.resolve(this.root)
+        if (process.platform === 'win32') this.root = this.root.replace(/\\/g, '/')
+
+        // baseurl
+
+        this.baseurl = this.baseurl.replace(/\/{2,}/g, '/').replace(/^\//g, '').replace(/\/$/g, '')
+
+        // autoindex / servedir
+
+        if (this.autoindex && this.servedir)
+        {
+            throw new Error(`config.mounts[${ i }].autoindex and servedir are mutally exclusive`)
+        }
+
+        // headers / mimes
+
+        for (const prop of ['headers', 'mimes'])
+        {
+            if (!opts.hasOwnProperty(prop)) continue
+
+            for (const val of Object.values(this[prop]))
+            {
+                if (typeof val !== 'string')
+                {
+                    throw new Error(`config.mounts[${ i }].${ prop } values must be strings`)
+                }
+            }
+        }
+
+        if (config.revalidate && opts.hasOwnProperty('headers'))
+        {
+            const headers = {}
+            for (const key in this.headers) if (key.toLowerCase() !== 'cache-control') headers[key] = this.headers[key]
+            headers['cache-control'] = 'no-cache'
+            this.headers = headers
+        }
+
+        // headerrules / redirects. inherited ones are reported as top-level options
+
+        const label = key => opts.hasOwnProperty(key) ? `config.mounts[${ i }].${ key }` : `config.${ key }`
+        this.rules = { headers: [], redirects: [] }
+
+        for (const [pattern, headers] of Object.entries(this.headerrules))
+        {
+            if (typeof headers !== 'object' || !headers || Object.values(headers).some(val => typeof val !== 'string'))
+            {
+                throw new Error(`${ label('headerrules') } values must be objects of strings`)
+            }
+
+            const lower = {}
+            for (const key in headers) lower[key.toLowerCase()] = headers[key]
+            this.rules.headers.push({ path: compilePattern(pattern), headers: lower })
+        }
+
+        if (!Array.isArray(this.redirects)) throw new Error(`${ label('redirects') } must be an array`)
+
+        this.redirects.forEach((line, j) =>
+        {
+            if (typeof line !== 'string') throw new Error(`${ label('redirects') } values must be strings`)
+
+            try { this.rules.redirects.push(parseRedirect(line)) }
+            catch (err) { throw new Error(`${ label('redirects') }[${ j }]: ${ err.message }`) }
+        })
+    }
+}
+
+class R
+{
+    id
+    req
+    res
+    headers
+    query // URLSearchParams of the query string
+    mount // the Mount whose baseurl matches the path, if any
+    path // decoded url path relative to the mount baseurl, with a leading slash. matched by rules
+    rules // { headers, redirects } of the mount, see RXFS.rules
+    rewritten = false // set once a rewrite rule applied, so that rules aren't matched again
+    climbing = false // whether dot segments in the url climb above its root
+    rel // relative path of the item in the mount root. no leading or trailing slashes
+    abs // absolute path of the item
+    stats // fs.Stats of the item, set by RXFS.handle
+    user = '' // authenticated user name, token for token access
+    start = performance.now() // arrival time in ms, for durations
+    bytes = 0 // response body bytes written
+    timings = {} // ms. stat, open: durations of the phases. headers, firstbyte, total: since arrival
+
+    constructor (rxfs, req, res, id)
+    {
+        this.id  = id
+        this.req = req
+        this.res = res
+
+        let url = req.url
+        const qpos = url.indexOf('?')
+        this.query = new URLSearchParams(qpos === -1 ? '' : url.slice(qpos + 1))
+        if (qpos !== -1) url = url.slice(0, qpos)
+        try { url = decodeURIComponent(url) } catch {}
+        if (process.platform === 'win32') url = url.replace(/\\/g, '/')
+        this.climbing = climbs(url)
+        url = path.posix.normalize(`/${ url }`) // resolves dot segments against the url root, so that they can't climb out of a mount root
+        this.mount = rxfs.mountFor(url)
+
+        this.headers = {}
+        const headers = this.mount ? this.mount.headers : rxfs.config.headers
+        for (const key in headers) this.headers[key] = headers[key]
+        this.headers['x-request-id'] = id
+
+        if (!this.mount)
+        {
+            this.rel = url.replace(/\/{2,}/g, '/').replace(/^\//g, '').replace(/\/$/g, '')
+            return
+        }
+
+        if (this.mount.baseurl) url = url.slice(this.mount.baseurl.length + 1)
+        const rel = url.replace(/\/{2,}/g, '/').replace(/^\//g, '').replace(/\/$/g, '')
+        this.path = `/${ rel }`
+        this.rules = rxfs.rules(this.mount)
+
+        // header rules. later matches override config.headers, values of several matching rules are joined
+
+        const ruled = new Set()
+
+        for (const rule of this.rules.headers)
+        {
+            if (!matchPattern(rule.path, this.path)) continue
+
+            for (const [key, val] of Object.entries(rule.headers))
+            {
+                if (key === 'cache-control' && rxfs.config.revalidate) continue
+
+                if (!ruled.has(key))
+                {
+                    for (const name in this.headers) if (name.toLowerCase() === key) delete this.headers[name]
+                    ruled.add(key)
+                }
+
+                if (!val) delete this.headers[key]
+                else this.headers[key] = this.headers[key] ? `${ this.headers[key] }, ${ val }` : val
+            }
+        }
+
+        this.locate(rel)
+    }
+
+    /**
+    sets rel and abs, applying mount.autoindex
+    @param {string} rel - relative path in the mount root, without leading or trailing slashes
+    */
+
+    locate (rel)
+    {
+        const root = this.mount.root
+        this.rel = rel
+        this.abs = this.rel ? `${ root }/${ this.rel }` : root
+        if (this.abs.startsWith('//')) this.abs = this.abs.slice(1) // edge case when serving /
+
+        if (this.mount.autoindex && fs.existsSync(`${ this.abs }/index.html`))
+        {
+            this.rel = this.rel ? `${ this.rel }/index.html` : 'index.html'
+            this.abs = `${ this.abs }/index.html`
+        }
+    }
+}
+
+class RXFS
+{
+    root
+    config
+    server
+    logfile
+    logsize = 0 // bytes in the current log file, for config.logrotate
+    logperiod = '' // daily / hourly period of the current log file, for config.logrotate
+    reqcount = 0
+    watchers = new Map() // livereload fs watchers by absolute dir path
+    lrclients = new Set() // livereload event stream responses
+    methods = {} // request handlers by http method: (r: R) => void
+    sockets = new Map() // open connections -> number of requests in flight
+    sessions = new Set() // open http2 sessions
+    proxies = [] // config.proxy as [{ prefix, target: URL }], longest prefix first
+    tunnels = new Set() // client sockets of proxied websocket connections
+    mountindex = false // whether to list the mounts at / if no mount covers it
+    users = {} // config.auth.users and config.auth.htpasswd: name -> hash
+    allowlist = null // config.auth.allow as net.BlockList, if not empty
+    denylist = null // config.auth.deny as net.BlockList, if not empty
+    guarded = false // whether config.auth restricts access
+    credentials = false // whether config.auth checks credentials. they are kept from logs and proxied services then
+    profiles = { count: 0, totals: {}, slowest: [] } // config.timing: phase totals and the slowest requests as { id, method, url, status, timings }
+    rulecache = new Map() // parsed config.rulefiles by absolute path: { mtimeMs, size, rules }
+    redirector // http -> https redirect server, if config.redirectport is set
+    address // bound address, set once listening
+    ready // Promise.<{address: string, family: string, port: number}>, rejects on listen errors such as EADDRINUSE
+    closing // Promise.<void> returned by close()
+
+    /** @param {Object.<string, *>} opts */
+
+    constructor (opts = {})
+    {
+        this.config = new Config(opts)
+        this.debug(this.config)
+
+        this.proxies = Object.entries(this.config.proxy)
+            .map(([prefix, target]) => ({ prefix, target: new URL(target) }))
+            .sort((a, b) => b.prefix.length - a.prefix.length)
+
+        this.methods['GET'] = r => this.get(r)
+        this.methods['HEAD'] = r => this.get(r)
+        this.methods['OPTIONS'] = r => this.options(r)
+
+        if (this.config.writable)
+        {
+            this.methods['PUT'] = r => this.put(r)
+            this.methods['POST'] = r => this.post(r)
+            this.methods['DELETE'] = r => this.delete(r)
+        }
+
+        for (const mount of this.config.mounts)
+        {
+            if (!fs.existsSync(mount.root)) throw new Error(`no such directory: ${ mount.root }`)
+            if (!fs.statSync(mount.root).isDirectory()) throw new Error(`not a directory: ${ mount.root }`)
+            mount.realroot = fs.realpathSync(mount.root).replace(/\\/g, '/')
+        }
+
+        // auth
+
+        const auth = this.config.auth
+
+        if (auth.htpasswd)
+        {
+            let text
+            try { text = fs.readFileSync(auth.htpasswd, 'utf8') } catch (err) { throw new Error(`failed to read htpasswd file: ${ auth.htpasswd }: ${ err.message || err }`) }
+
+            for (const [user, hash] of Object.entries(parseHtpasswd(text)))
+            {
+                if (!hashSupported(hash)) throw new Error(`${ auth.htpasswd }: ${ user }: unsupported password hash, expected htpasswd -m ($apr1$) or -s ({SHA})`)
+                this.users[user] = hash
+            }
+        }
+
+        Object.assign(this.users, auth.users)
+        this.allowlist = blockList(auth.allow)
+        this.denylist = blockList(auth.deny)
+        this.credentials = Boolean(Object.keys(this.users).length || auth.tokens.length)
+        this.guarded = this.credentials || Boolean(auth.allow.length || auth.deny.length)
+
+        this.mountindex = Boolean(opts.mounts && opts.mounts.length) && !this.config.mounts.some(mount => !mount.baseurl)
+
+        if (this.config.logfile)
+        {
+            try
+            {
+                fs.mkdirSync(path.parse(this.config.logfile).dir, { recursive: true })
+                this.openLog()
+            }
+            catch (err)
+            {
+                throw new Error(`failed to create log file: ${ this.config.logfile }: ${ err.message || err }`)
+            }
+        }
+
+        if (this.config.protocol === 'http')
+        {
+            this.server = http.createServer()
+            this.server.addListener('connection', this.track)
+        }
+        else
+        {
+            const tls = this.tlsOptions()
+            this.server = this.config.protocol === 'https' ? https.createServer(tls) : http2.createSecureServer({ ...tls, allowHTTP1: true })
+            this.server.addListener('secureConnection', this.track)
+
+            this.server.addListener('session', session =>
+            {
+                this.sessions.add(session)
+                session.on('close', () => this.sessions.delete(session))
+            })
+
+            if (this.config.redirectport) this.redirect()
+        }
+
+        this.server.addListener('request', this.handle)
+        this.server.addListener('upgrade', this.upgrade)
+
+        this.ready = new Promise((resolve, reject) =>
+        {
+            const host = this.config.host || undefined
+            let port = this.config.port
+
+            const onError = (err) =>
+            {
+                if (err.code === 'EADDRINUSE' && port && port < Math.min(this.config.port + this.config.portfallback, 65535))
+                {
+                    this.log(`port ${ port } is in use, trying ${ port + 1 }`)
+                    this.server.listen(++port, host)
+                    return
+                }
+
+                // nothing may keep the process alive for a caller that handles the rejection
+                this.server.removeListener('error', onError)
+                if (this.redirector) this.redirector.close()
+                if (this.logfile) this.logfile.end()
+                reject(err)
+            }
+
+            this.server.on('error', onError)
+            this.server.once('listening', () =>
+            {
+                this.server.removeListener('error', onError)
+                this.address = this.server.address()
+                for (const mount of this.config.mounts) this.log(`dir: ${ mount.root }` + (this.config.mounts.length > 1 ? ` -> /${ mount.baseurl }` : ''))
+                for (const url of this.urls()) this.log(`url: ${ url }`)
+                if (this.config.livereload) this.watch()
+                resolve(this.address)
+            })
+
+            this.server.listen(port, host)
+        })
+    }
+
+    /**
+    urls the server is reachable at. for wildcard addresses: localhost and the external addresses of all network interfaces
+    @returns {string[]}
+    */
+
+    urls ()
+    {
+        const { address, port } = this.address
+        const baseurl = this.config.mounts.length === 1 ? this.config.mounts[0].baseurl : ''
+        const base = baseurl ? `/${ baseurl }` : '/'
+        const hosts = []
+
+        if (address === '::' || address === '0.0.0.0')
+        {
+            hosts.push('localhost')
+
+            for (const iface of Object.values(os.networkInterfaces()))
+            {
+                for (const addr of iface)
+                {
+                    const v6 = net.isIPv6(addr.address)
+                    if (addr.internal || (v6 && (address !== '::' || addr.address.startsWith('fe80:')))) continue
+                    hosts.push(v6 ? `[${ addr.address }]` : addr.address)
+                }
+            }
+        }
+        else
+        {
+            hosts.push(net.isIPv6(address) ? `[${ address }]` : address)
+        }
+
+        return hosts.map(host => `${ this.config.protocol === 'http' ? 'http' : 'https' }://${ host }:${ port }${ base }`)
+    }
+
+    /**
+    reads config.cert and config.key, or the cached self-signed localhost certificate, which is (re)generated if missing or about to expire
+    @returns {{cert: Buffer|string, key: Buffer|string}}
+    */
+
+    tlsOptions ()
+    {
+        if (this.config.cert)
+        {
+            try
+            {
+                return { cert: fs.readFileSync(this.config.cert), key: fs.readFileSync(this.config.key) }
+            }
+            catch (err)
+            {
+                throw new Error(`failed to read certificate: ${ err.message || err }`)
+            }
+        }
+
+        const certfile = `${ os.homedir() }/.config/rxfs-localhost.crt`
+        const keyfile = `${ os.homedir() }/.config/rxfs-localhost.key`
+
+        try
+        {
+            const cert = fs.readFileSync(certfile, 'utf8')
+            const key = fs.readFileSync(keyfile, 'utf8')
+            const expires = crypto.X509Certificate ? Date.parse(new crypto.X509Certificate(cert).validTo) : fs.statSync(certfile).mtimeMs + 365 * 864e5
+            if (expires > Date.now() + 864e5) return { cert, key }
+        }
+        catch (err)
+        {
+            this.debug(err)
+        }
+
+        this.log(`generating self-signed certificate: ${ certfile }`)
+        const generated = selfSignedCert()
+        fs.mkdirSync(path.dirname(certfile), { recursive: true })
+        fs.writeFileSync(keyfile, generated.key, { mode: 0o600 })
+        fs.writeFileSync(certfile, generated.cert)
+        return generated
+    }
+
+    /** starts the http listener on config.redirectport that redirects every request to the same url over https */
+
+    redirect ()
+    {
+        this.redirector = http.createServer((req, res) =>
+        {
+            const host = (req.headers['host'] || 'localhost').replace(/:\d+$/, '')
+            const location = `https://${ host }:${ this.address ? this.address.port : this.config.port }${ req.url }`
+            this.log(`REDIRECT ${ req.method } ${ this.logUrl(req.url) } -> ${ this.logUrl(location) }`)
+            res.writeHead(308, { 'location': location, 'content-length': 0 })
+            res.end()
+        })
+
+        this.redirector.on('error', err => this.log(`redirect listener error: ${ err.message || err }`))
+        this.redirector.listen(this.config.redirectport, this.config.host || undefined, () =>
+        {
+            this.log(`redirecting http://*:${ this.redirector.address().port } to https`)
+        })
+    }
+
+    /**
+    @param {string} pathname - decoded and normalized url path
+    @returns {Mount|undefined} the mount with the longest baseurl matching whole path segments
+    */
+
+    mountFor (pathname)
+    {
+        return this.config.mounts.find(({ baseurl }) => !baseurl || pathname === `/${ baseurl }` || pathname.startsWith(`/${ baseurl }/`))
+    }
+
+    /**
+    header and redirect rules of a mount: its config rules, followed by its _headers / _redirects if config.rulefiles
+    @param {Mount} mount
+    @returns {{headers: Object[], redirects: Object[]}}
+    */
+
+    rules (mount)
+    {
+        if (!this.config.rulefiles) return mount.rules
+
+        return {
+            headers: mount.rules.headers.concat(this.ruleFile(`${ mount.root }/_headers`, parseHeaders)),
+            redirects: mount.rules.redirects.concat(this.ruleFile(`${ mount.root }/_redirects`, parseRedirects))
+        }
+    }
+
+    /**
+    parses a rule file, reusing the previous result while the file is unchanged
+    @param {string} abs
+    @param {(text: string, warn: (msg: string) => void) => Object[]} parse
+    @returns {Object[]} no rules if the file doesn't exist
+    */
+
+    ruleFile (abs, parse)
+    {
+        let stats
+        try { stats = fs.statSync(abs) } catch { return [] }
+
+        const cached = this.rulecache.get(abs)
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) return cached.rules
+
+        let rules = []
+
+        try
+        {
+            rules = parse(fs.readFileSync(abs, 'utf8'), msg => this.log(`${ abs }: ${ msg }`))
+            this.log(`rules: ${ rules.length } from ${ abs }`)
+        }
+        catch (err)
+        {
+            this.log(`failed to read ${ abs }: ${ err.message || err }`)
+        }
+
+        this.rulecache.set(abs, { mtimeMs: stats.mtimeMs, size: stats.size, rules })
+        return rules
+    }
+
+    /** counts requests in flight per connection, so that close() can tell idle connections from busy ones */
+
+    track = (socket) =>
+    {
+        this.sockets.set(socket, 0)
+        socket.on('close', () => this.sockets.delete(socket))
+    }
+
+    /**
+    stops accepting connections, ends livereload streams and watchers, closes idle connections
+    and lets busy ones finish their requests. connections still open after `timeout` ms are destroyed
+    @param {number} [timeout]
+    @returns {Promise.<void>}
+    */
+
+    close (timeout = 5000)
+    {
+        if (this.closing) return this.closing
+
+        this.closing = new Promise(resolve =>
+        {
+            this.log(`closing`)
+
+            for (const watcher of this.watchers.values()) watcher.close()
+            this.watchers.clear()
+            for (const res of this.lrclients) res.end()
+            this.lrclients.clear()
+            for (const socket of this.tunnels) socket.destroy()
+
+            const timer = setTimeout(() =>
+            {
+                this.log(`destroying ${ this.sockets.size } connection(s) after ${ timeout }ms`)
+                for (const session of this.sessions) session.destroy()
+                for (const socket of this.sockets.keys()) socket.destroy()
+            }, timeout)
+
+            if (this.redirector) this.redirector.close()
+
+            this.server.close(() =>
+            {
+                clearTimeout(timer)
+                if (this.config.timing) this.summary()
+                this.log(`closed`)
+                if (this.logfile) this.logfile.end(resolve)
+                else resolve()
+            })
+
+            // http2 sessions finish their open streams after goaway, their sockets aren't counted
+
+            for (const session of this.sessions) session.close()
+            for (const [socket, inflight] of this.sockets) if (!inflight && socket.alpnProtocol !== 'h2') socket.destroy()
+        })
+
+        return this.closing
+    }
+
+    handle = (req, res) =>
+    {
+        const id = (this.reqcount++).toString().padStart(3, '0')
+        this.trace(`REQ #${ id } ${ req.method } ${ this.logUrl(req.url) }`)
+
+        // connection bookkeeping for close(). http2 streams are handled by their sessions
+
+        if (req.httpVersionMajor < 2)
+        {
+            const socket = req.socket
+            this.sockets.set(socket, (this.sockets.get(socket) || 0) + 1)
+
+            res.once('close', () =>
+            {
+                const inflight = this.sockets.get(socket) - 1
+                this.sockets.set(socket, inflight)
+                if (this.closing && !inflight) socket.destroy()
+            })
+
+            if (this.closing) res.setHeader('connection', 'close')
+        }
+
+        const r = new R(this, req, res, id)
+        this.debug(`url: ${ this.logUrl(r.req.url) }\nrel: ${ r.rel }\nabs: ${ r.abs }`)
+
+        // bytes and timings for the access log, config.timing and the debug output
+
+        const { writeHead, write, end } = res
+
+        res.writeHead = (...args) =>
+        {
+            r.timings.headers = performance.now() - r.start
+            if (this.config.timing) res.setHeader('server-timing', serverTiming(r.timings))
+            return writeHead.apply(res, args)
+        }
+
+        const count = (chunk, encoding) =>
+        {
+            const length = chunkLength(chunk, encoding)
+            if (length && !r.bytes) r.timings.firstbyte = performance.now() - r.start
+            r.bytes += length
+        }
+
+        res.write = (chunk, ...args) => { count(chunk, args[0]); return write.call(res, chunk, ...args) }
+        res.end = (chunk, ...args) => { count(chunk, args[0]); return end.call(res, chunk, ...args) }
+
+        res.once('close', () =>
+        {
+            r.timings.total = performance.now() - r.start
+            this.debug(`timing #${ id }: ${ Object.entries(r.timings).map(([phase, ms]) => `${ phase } ${ ms.toFixed(3) }ms`).join(', ') }`)
+            if (this.config.timing) this.profile(r)
+            if (this.config.logformat) this.access(req, { id, status: res.headersSent ? res.statusCode : 499, bytes: r.bytes, start: r.start, user: r.user }) // 499: closed by the client before a response was sent
+        })
+
+        const rule = this.proxyRule(req.url)
+        const cors = Boolean(this.config.cors.origins.length || typeof this.config.cors.origins === 'function')
+
+        // auth. cors preflights carry no credentials, only the ip lists apply to those that config.cors answers
+
+        if (this.guarded)
+        {
+            const preflight = cors && !rule && req.method === 'OPTIONS' && req.headers['origin'] && req.headers['access-control-request-method'] &&
+                originAllowed(this.config.cors.origins, req.headers['origin'], r)
+            const auth = this.authorize(req, r.query, !preflight)
+
+            if (auth.status)
+            {
+                this.log(`auth: #${ id } ${ auth.status } ${ auth.reason } (${ req.socket.remoteAddress } ${ req.method } ${ this.logUrl(req.url) })`)
+                if (auth.status === 401) r.headers['www-authenticate'] = Object.keys(this.users).length ? `Basic realm="${ this.config.auth.realm }", charset="UTF-8"` : `Bearer realm="${ this.config.auth.realm }"`
+                this.sendStatus(r, auth.status, auth.status === 401 ? 'unauthorized' : 'forbidden')
+                return
+            }
+
+            r.user = auth.user
+            if (auth.cookie) r.headers['set-cookie'] = auth.cookie
+        }
+
+        // reverse proxy
+
+        if (rule)
+        {
+            this.proxy(r, rule)
+            return
+        }
+
+        // cors. preflights are answered here
+
+        if (cors && this.cors(r)) return
+
+        // 405
+
+        if (!this.methods.hasOwnProperty(req.method))
+        {
+            r.headers['allow'] = Object.keys(this.methods).join(', ')
+            this.sendStatus(r, 405, `method not allowed: ${ req.method }`)
+            return
+        }
+
+        this.methods[req.method](r)
+    }
+
+    /**
+    adds cors headers for allowed origins and answers preflight requests
+    @param {R} r
+    @returns {boolean} whether the request was a preflight and has been answered
+    */
+
+    cors (r)
+    {
+        const cors = this.config.cors
+        const origin = r.req.headers['origin']
+        const any = !cors.credentials && Array.isArray(cors.origins) && cors.origins.includes('*')
+
+        if (!any) vary(r.headers, 'origin')
+        if (!origin) return false
+
+        if (!originAllowed(cors.origins, origin, r))
+        {
+            this.debug(`cors: origin not allowed: ${ origin }`)
+            return false
+        }
+
+        r.headers['access-control-allow-origin'] = any ? '*' : origin
+        if (cors.credentials) r.headers['access-control-allow-credentials'] = 'true'
+        if (cors.expose.length) r.headers['access-control-expose-headers'] = cors.expose.join(', ')
+
+        const method = r.req.headers['access-control-request-method']
+        if (r.req.method !== 'OPTIONS' || !method) return false
+
+        // preflight
+
+        const requested = r.req.headers['access-control-request-headers']
+        r.headers['access-control-allow-methods'] = (cors.methods.length ? cors.methods : Object.keys(this.methods)).join(', ')
+
+        if (cors.headers.length) r.headers['access-control-allow-headers'] = cors.headers.join(', ')
+        else if (requested) r.headers['access-control-allow-headers'] = requested
+        if (!cors.headers.length) vary(r.headers, 'access-control-request-headers')
+
+        if (cors.maxage) r.headers['access-control-max-age'] = cors.maxage
+        r.headers['content-length'] = 0
+        r.res.writeHead(204, r.headers)
+        r.res.end()
+        this.trace(`RES #${ r.id } [cors] 204 preflight ${ method } from ${ origin }`)
+        return true
+    }
+
+    /**
+    checks a request against config.auth: ip lists first, then a token (bearer header, ?token= or the cookie set for it)
+    or basic credentials
+    @param {http.IncomingMessage} req
+    @param {URLSearchParams} query
+    @param {boolean} [credentials] - false: only check the ip lists
+    @returns {{status: number, reason?: string, user?: string, cookie?: string}} status 0 if access is granted
+    */
+
+    authorize (req, query, credentials = true)
+    {
+        const auth = this.config.auth
+        const remote = req.socket.remoteAddress
+
+        if (auth.deny.length && inList(this.denylist, remote)) return { status: 403, reason: 'address denied' }
+        if (auth.allow.length && !inList(this.allowlist, remote)) return { status: 403, reason: 'address not allowed' }
+        if (!credentials || !Object.keys(this.users).length && !auth.tokens.length) return { status: 0, user: '' }
+
+        // token
+
+        const header = req.headers['authorization'] || ''
+        const bearer = /^bearer\s+(\S+)/i.exec(header)
+        const cookie = new RegExp(`(?:^|;\\s*)${ tokenCookie }=([^;]*)`).exec(req.headers['cookie'] || '')
+        let saved = ''
+        try { saved = cookie ? decodeURIComponent(cookie[1]) : '' } catch {}
+        const token = bearer ? bearer[1] : query.get('token') || saved
+
+        if (token && auth.tokens.length)
+        {
+            if (!auth.tokens.some(t => safeEqual(t, token))) return { status: 401, reason: 'invalid token' }
+
+            // share links: the cookie keeps the token for the links and assets of the pages
+            const set = !bearer && query.get('token') && saved !== token
+            return { status: 0, user: 'token', cookie: set ? `${ tokenCookie }=${ encodeURIComponent(token) }; Path=/; HttpOnly; SameSite=Lax` : '' }
+        }
+
+        // basic
+
+        const basic = /^basic\s+(\S+)/i.exec(header)
+        if (!basic) return { status: 401, reason: 'no credentials' }
+
+        const decoded = Buffer.from(basic[1], 'base64').toString()
+        const pos = decoded.indexOf(':')
+        if (pos === -1) return { status: 401, reason: 'malformed credentials' }
+        const user = decoded.slice(0, pos)
+
+        if (!this.users.hasOwnProperty(user)) return { status: 401, reason: `unknown user: ${ user }` }
+        if (!checkPassword(this.users[user], decoded.slice(pos + 1))) return { status: 401, reason: `wrong password for ${ user }` }
+        return { status: 0, user }
+    }
+
+    // proxy
+
+    /**
+    @param {string} url - request url
+    @returns {{prefix: string, target: URL}|undefined} the longest config.proxy prefix matching whole path segments of the decoded,
+    normalized path, like mounts
+    */
+
+    proxyRule (url)
+    {
+        let pathname = url.split('?')[0]
+        try { pathname = decodeURIComponent(pathname) } catch {}
+        pathname = path.posix.normalize(`/${ pathname }`).replace(/(.)\/$/, '$1')
+        return this.proxies.find(({ prefix }) => prefix === '/' || pathname === prefix || pathname.startsWith(prefix + '/'))
+    }
+
+    /**
+    @param {R} r
+    @param {{prefix: string, target: URL}} rule
+    */
+
+    proxy (r, rule)
+    {
+        if (dotSegments(r.req.url))
+        {
+            this.sendStatus(r, 400, `bad request: dot segments in a proxied path`)
+            return
+        }
+
+        const target = proxyTarget(rule.target, this.config.auth.tokens.length ? redactToken(r.req.url) : r.req.url)
+        this.debug(`proxy: ${ this.logUrl(r.req.url) } -> ${ target.href }`)
+
+        const preq = (target.protocol === 'https:' ? https : http).request(target,
+        {
+            method: r.req.method,
+            headers: { ...proxyHeaders(r.req, target, this.config.protocol !== 'http', this.credentials), 'x-request-id': r.id },
+            timeout: this.config.proxytimeout
+        })
+
+        preq.on('response', pres =>
+        {
+            const headers = {}
+
+            for (const [key, val] of Object.entries(pres.headers))
+            {
+                if (!hopByHop.includes(key)) headers[key] = val
+            }
+
+            headers['x-request-id'] = r.id
+
+            // redirects to the target's origin stay on this server
+            if (headers['location'] && headers['location'].startsWith(target.origin)) headers['location'] = headers['location'].slice(target.origin.length) || '/'
+
+            // a target that drops the connection mid-body ends the response unfinished, so that the client sees the truncation
+
+            const broken = (err) =>
+            {
+                if (r.res.destroyed || r.res.writableFinished) return
+                this.debug(err)
+                r.res.destroy()
+                this.trace(`RES #${ r.id } [proxy] error: ${ err.message || err }`)
+            }
+
+            r.res.writeHead(pres.statusCode, headers)
+            pres.pipe(r.res)
+            pres.on('aborted', () => broken(new Error(`connection to ${ target.origin } closed mid-response`)))
+            pres.on('error', broken)
+            pres.on('end', () => this.trace(`RES #${ r.id } [proxy] ${ pres.statusCode } ${ target.href }`))
+        })
+
+        preq.on('timeout', () => preq.destroy(Object.assign(new Error(`no response within ${ this.config.proxytimeout }ms`), { code: 'ETIMEDOUT' })))
+
+        preq.on('error', err =>
+        {
+            this.debug(err)
+
+            if (r.res.headersSent)
+            {
+                r.res.destroy()
+                this.trace(`RES #${ r.id } [proxy] error: ${ err.message || err }`)
+            }
+            else
+            {
+                this.sendStatus(r, err.code === 'ETIMEDOUT' ? 504 : 502, `proxy error: ${ target.origin }: ${ err.message || err }`)
+            }
+        })
+
+        r.res.on('close', () => { if (!r.res.writableFinished) preq.destroy() })
+        r.req.pipe(preq)
+    }
+
+    /** websocket (and other protocol upgrade) passthrough for proxied paths */
+
+    upgrade = (req, socket, head) =>
+    {
+        const id = (this.reqcount++).toString().padStart(3, '0')
+        this.trace(`REQ #${ id } ${ req.method } ${ this.logUrl(req.url) } (upgrade: ${ req.headers['upgrade'] })`)
+        socket.on('error', err => this.debug(err))
+
+        const start = performance.now()
+        const record = (status, user) => { if (this.config.logformat) this.access(req, { id, status, bytes: 0, start, user }) }
+
+        const qpos = req.url.indexOf('?')
+        const auth = this.guarded ? this.authorize(req, new URLSearchParams(qpos === -1 ? '' : req.url.slice(qpos + 1))) : { status: 0, user: '' }
+
+        if (auth.status)
+        {
+            this.log(`auth: #${ id } ${ auth.status } ${ auth.reason } (${ req.socket.remoteAddress } ${ req.method } ${ this.logUrl(req.url) })`)
+            socket.end(`HTTP/1.1 ${ auth.status } ${ http.STATUS_CODES[auth.status] }\r\nconnection: close\r\ncontent-length: 0\r\n\r\n`)
+            record(auth.status)
+            return
+        }
+
+        const rule = this.proxyRule(req.url)
+
+        if (!rule || this.closing)
+        {
+            socket.end('HTTP/1.1 404 Not Found\r\nconnection: close\r\ncontent-length: 0\r\n\r\n')
+            this.trace(`RES #${ id } [proxy] 404 no proxy rule for upgrade`)
+            record(404)
+            return
+        }
+
+        if (dotSegments(req.url))
+        {
+            socket.end('HTTP/1.1 400 Bad Request\r\nconnection: close\r\ncontent-length: 0\r\n\r\n')
+            this.trace(`RES #${ id } [proxy] 400 dot segments in a proxied path`)
+            record(400)
+            return
+        }
+
+        const target = proxyTarget(rule.target, this.config.auth.tokens.length ? redactToken(req.url) : req.url)
+        const headers = proxyHeaders(req, target, this.config.protocol !== 'http', this.credentials)
+        headers['connection'] = 'upgrade'
+        headers['upgrade'] = req.headers['upgrade']
+
+        const preq = (target.protocol === 'https:' ? https : http).request(target, { method: req.method, headers, timeout: this.config.proxytimeout })
+        const head101 = (res) => `HTTP/1.1 ${ res.statusCode } ${ res.statusMessage }\r\n` + res.rawHeaders.map((v, i) => i % 2 ? `${ v }\r\n` : `${ v }: `).join('') + '\r\n'
+
+        preq.on('upgrade', (pres, psocket, phead) =>
+        {
+            preq.setTimeout(0)
+            psocket.setTimeout(0)
+            socket.write(head101(pres))
+            if (phead.length) socket.write(phead)
+            if (head.length) psocket.write(head)
+            psocket.pipe(socket).pipe(psocket)
+
+            this.tunnels.add(socket)
+            this.trace(`RES #${ id } [proxy] 101 ${ target.href }`)
+            record(101, auth.user)
+
+            const done = () =>
+            {
+                this.tunnels.delete(socket)
+                socket.destroy()
+                psocket.destroy()
+            }
+
+            socket.on('close', done)
+            psocket.on('close', done)
+            psocket.on('error', err => this.debug(err))
+        })
+
+        // the target declined the upgrade
+        preq.on('response', pres =>
+        {
+            socket.write(head101(pres))
+            pres.pipe(socket)
+            pres.on('aborted', () => socket.destroy())
+            pres.on('error', err => { this.debug(err); socket.destroy() })
+            this.trace(`RES #${ id } [proxy] ${ pres.statusCode } ${ target.href }`)
+            record(pres.statusCode, auth.user)
+        })
+
+        preq.on('timeout', () => preq.destroy(new Error(`no response within ${ this.config.proxytimeout }ms`)))
+
+        preq.on('error', err =>
+        {
+            this.debug(err)
+            socket.end('HTTP/1.1 502 Bad Gateway\r\nconnection: close\r\ncontent-length: 0\r\n\r\n')
+            this.trace(`RES #${ id } [proxy] 502 ${ err.message || err }`)
+            record(502, auth.user)
+        })
+
+        preq.end()
+    }
+
+    /** GET and HEAD. http.ServerResponse drops the body of HEAD responses, the senders skip producing it */
+
+    get (r)
+    {
+        // 404 #1
+
+        if (!r.mount)
+        {
+            if (this.mountindex && !r.rel) this.sendMounts(r)
+            else this.sendStatus(r, 404, `not found`)
+            return
+        }
+
+        // 400
+
+        if (r.rel.includes('\0'))
+        {
+            this.sendStatus(r, 400, `bad request: null byte in path`)
+            return
+        }
+
+        if (r.climbing)
+        {
+            this.sendStatus(r, 400, `bad request: path climbs above the root`)
+            return
+        }
+
+        // 403 #1
+
+        if (this.config.hidedotfiles && isHidden(r.rel))
+        {
+            this.sendStatus(r, 403, `forbidden: hidden file`)
+            return
+        }
+
+        // livereload event stream
+
+        if (this.config.livereload && r.rel === livereloadPath)
+        {
+            this.sendLivereload(r)
+            return
+        }
+
+        // 404 #2
+
+        if (this.config.rulefiles && ruleFiles.includes(r.rel))
+        {
+            this.sendStatus(r, 404, `not found`)
+            return
+        }
+
+        // redirect rules. redirects and forced rules apply right away, other rewrites only to missing items
+
+        const redirect = r.rewritten ? null : this.redirectRule(r)
+
+        if (redirect && (redirect.force || redirect.status >= 300 && redirect.status < 400))
+        {
+            this.sendRedirect(r, redirect)
+            return
+        }
+
+        //
+
+        let stats
+        const statstart = performance.now()
+        try
+        {
+            stats = fs.statSync(r.abs)
+        }
+        catch (err)
+        {
+            if (err.code === 'ENOENT')
+            {
+                if (redirect) this.sendRedirect(r, redirect)
+                else if (!this.sendFallback(r)) this.sendStatus(r, 404, 'not found')
+            }
+            else
+            {
+                this.sendStatus(r, errorStatus(err), err.message)
+            }
+
+            return
+        }
+
+        r.stats = stats
+        r.timings.stat = performance.now() - statstart
+
+        // 403 #2
+
+        const denied = this.deny(r.mount, r.rel, r.abs)
+
+        if (denied)
+        {
+            this.sendStatus(r, 403, `forbidden: ${ denied }`)
+            return
+        }
+
+        if (stats.isFile())
+        {
+            if (r.query.has('view')) this.sendPreview(r)
+            else this.sendFile(r)
+        }
+        else if (stats.isDirectory())
+        {
+            if (r.mount.servedir)
+            {
+                this.sendDir(r)
+            }
+            else
+            {
+                this.sendStatus(r, 400, 'the server is not configured to serve directories')
+            }
+        }
+        else
+        {
+            this.sendStatus(r, 400, 'the requested item is not a file or directory')
+        }
+    }
+
+    options (r)
+    {
+        r.headers['allow'] = Object.keys(this.methods).join(', ')
+        r.headers['content-length'] = 0
+        r.res.writeHead(204, r.headers)
+        r.res.end()
+        this.trace(`RES #${ r.id } [options] 204 ${ r.headers['allow'] }`)
+    }
+
+    /**
+    checks the resolved path of an existing item against the mount root, config.followsymlinks and config.hidedotfiles
+    @param {Mount} mount
+    @param {string} rel - relative path in the mount root
+    @param {string} abs - absolute path
+    @returns {string} reason for denial, empty string if access is allowed
+    */
+
+    deny (mount, rel, abs)
+    {
+        const realroot = mount.realroot
+        const lexical = realroot === '/' ? `/${ rel }` : (rel ? `${ realroot }/${ rel }` : realroot)
+
+        let real
+        try
+        {
+            real = fs.realpathSync(abs).replace(/\\/g, '/')
+        }
+        catch (err)
+        {
+            this.debug(err)
+            return 'unresolvable path'
+        }
+
+        if (real === lexical) return ''
+        if (this.config.followsymlinks === 'none') return 'symlink'
+
+        const inside = real === realroot || real.startsWith(realroot === '/' ? '/' : `${ realroot }/`)
+        if (!inside && this.config.followsymlinks === 'root') return 'symlink target outside of root'
+        if (inside && this.config.hidedotfiles && isHidden(real.slice(realroot.length))) return 'symlink to a hidden file'
+
+        return ''
+    }
+
+    /**
+    @param {R} r
+    @returns {{from: Object, to: string, status: number, force: boolean, params: Object.<string, string>}|undefined} the first matching redirect rule
+    */
+
+    redirectRule (r)
+    {
+        for (const rule of r.rules.redirects)
+        {
+            const params = matchPattern(rule.from, r.path)
+            if (params) return { ...rule, params }
+        }
+    }
+
+    /**
+    redirects (3xx), rewrites (200, served via get) or serves the target as the page of a 4xx status
+    @param {R} r
+    @param {Object} rule - see redirectRule
+    */
+
+    sendRedirect (r, rule)
+    {
+        let location = rule.to.replace(/:([A-Za-z_]\w*)/g, (m, name) => rule.params.hasOwnProperty(name) ? encodePath(rule.params[name]) : m)
+
+        if (rule.status >= 300 && rule.status < 400)
+        {
+            if (location.startsWith('/')) location = (r.mount.baseurl ? `/${ encodePath(r.mount.baseurl) }` : '') + location
+            const qpos = r.req.url.indexOf('?')
+            if (qpos !== -1 && !location.includes('?')) location += r.req.url.slice(qpos)
+
+            r.headers['location'] = location
+            r.headers['content-length'] = 0
+            r.res.writeHead(rule.status, r.headers)
+            r.res.end()
+            this.trace(`RES #${ r.id } [redirect] ${ rule.status } ${ this.logUrl(location) }`)
+            return
+        }
+
+        let target = location.split('?')[0]
+        try { target = decodeURIComponent(target) } catch {}
+        const rel = path.posix.normalize(`/${ target }`).replace(/^\/+|\/+$/g, '')
+
+        if (rule.status === 200)
+        {
+            this.debug(`rewrite: ${ r.path } -> /${ rel }`)
+            r.rewritten = true
+            r.locate(rel)
+            this.get(r)
+            return
+        }
+
+        // the page is subject to the rules of serving, since placeholders can fill its path from the request
+
+        const abs = joinRoot(r.mount.root, rel)
+        const dir = path.posix.dirname(rel)
+        const servable = !(this.config.hidedotfiles && isHidden(rel)) && this.listed(dir === '.' ? '' : dir, path.posix.basename(rel)) && !this.deny(r.mount, rel, abs)
+        if (!servable) this.debug(`rule page not served: /${ rel }`)
+
+        this.sendStatus(r, rule.status, http.STATUS_CODES[rule.status] || 'error', servable ? abs : undefined)
+    }
+
+    // writable
+
+    /**
+    the origin of a cross-site request, from its origin or referer header. browsers send one with form posts and fetches, so that
+    pages elsewhere can't write unless config.cors names their origin. requests with neither, e.g. from curl, count as same-site
+    @param {R} r
+    @returns {string} empty if the request is same-origin or allowed
+    */
+
+    foreignOrigin (r)
+    {
+        const headers = r.req.headers
+        let origin = headers['origin']
+
+        if (!origin && headers['referer'])
+        {
+            try { origin = new URL(headers['referer']).origin } catch { origin = 'null' }
+        }
+
+        if (!origin) return ''
+        origin = origin.toLowerCase()
+
+        const own = `${ this.config.protocol === 'http' ? 'http' : 'https' }://${ headers['host'] || headers[':authority'] || '' }`.toLowerCase()
+        if (origin === own) return ''
+
+        const origins = this.config.cors.origins
+        const named = typeof origins === 'function' || origins.length && !origins.includes('*')
+        return origin !== 'null' && named && originAllowed(origins, origin, r) ? '' : origin
+    }
+
+    /**
+    the mount-relative path of a write request, without mount.autoindex rewriting. sends an error status if it isn't writable
+    @param {R} r
+    @returns {string|null}
+    */
+
+    writeTarget (r)
+    {
+        if (!r.mount)
+        {
+            this.sendStatus(r, 404, `not found`)
+            return null
+        }
+
+        const foreign = this.foreignOrigin(r)
+
+        if (foreign)
+        {
+            this.sendStatus(r, 403, `forbidden: cross-origin write from ${ foreign }`)
+            return null
+        }
+
+        const rel = r.path.slice(1)
+
+        if (rel.includes('\0'))
+        {
+            this.sendStatus(r, 400, `bad request: null byte in path`)
+            return null
+        }
+
+        if (r.climbing)
+        {
+            this.sendStatus(r, 400, `bad request: path climbs above the root`)
+            return null
+        }
+
+        const denied = this.denyWrite(r.mount, rel)
+
+        if (denied)
+        {
+            this.sendStatus(r, 403, `forbidden: ${ denied }`)
+            return null
+        }
+
+        return rel
+    }
+
+    /**
+    checks a path to be written or deleted against hidden files, reserved paths and symlinks in its nearest existing parent
+    @param {Mount} mount
+    @param {string} rel - relative path in the mount root
+    @returns {string} reason for denial, empty string if allowed
+    */
+
+    denyWrite (mount, rel)
+    {
+        if (this.config.hidedotfiles && isHidden(rel)) return 'hidden file'
+        if (rel === livereloadPath || this.config.rulefiles && ruleFiles.includes(rel)) return 'reserved path'
+
+        let parent = path.posix.dirname(rel).replace(/^\.$/, '')
+        while (parent && !fs.existsSync(joinRoot(mount.root, parent))) parent = path.posix.dirname(parent).replace(/^\.$/, '')
+        return this.deny(mount, parent, joinRoot(mount.root, parent))
+    }
+
+    /**
+    ends a failed upload: removes its temporary files, responds with the status and closes the connection, so that the rest
+    of the body isn't read
+    @param {R} r
+    @param {Array.<{discard: () => void}>} writers - see atomicWriter
+    @param {number} code
+    @param {string} msg
+    */
+
+    failUpload (r, writers, code, msg)
+    {
+        for (const writer of writers) writer.discard()
+        if (r.res.headersSent || r.res.destroyed) return
+
+        if (r.req.httpVersionMajor < 2) r.headers['connection'] = 'close'
+        r.res.once('finish', () => r.req.destroy())
+        this.sendStatus(r, code, msg)
+    }
+
+    /** PUT: writes the request body to the path, creating missing directories. 201 if created, 204 if replaced */
+
+    put (r)
+    {
+        const rel = this.writeTarget(r)
+        if (rel === null) return
+
+        const abs = joinRoot(r.mount.root, rel)
+        let stats
+        try { stats = fs.statSync(abs) } catch {}
+
+        if (stats && stats.isDirectory())
+        {
+            this.sendStatus(r, 409, `conflict: is a directory`)
+            return
+        }
+
+        if (Number(r.req.headers['content-length']) > this.config.maxupload)
+        {
+            this.failUpload(r, [], 413, `payload too large: over ${ this.config.maxupload } bytes`)
+            return
+        }
+
+        try
+        {
+            fs.mkdirSync(path.dirname(abs), { recursive: true })
+        }
+        catch (err)
+        {
+            this.debug(err)
+            this.sendStatus(r, errorStatus(err), err.message)
+            return
+        }
+
+        const file = atomicWriter(abs)
+        let size = 0
+        let failed = false
+
+        const fail = (code, msg) =>
+        {
+            if (failed) return
+            failed = true
+            r.req.unpipe(file.stream)
+            this.failUpload(r, [file], code, msg)
+        }
+
+        r.req.on('data', chunk =>
+        {
+            size += chunk.length
+            if (size > this.config.maxupload) fail(413, `payload too large: over ${ this.config.maxupload } bytes`)
+        })
+
+        r.req.on('close', () => { if (!r.req.complete) fail(400, `request aborted`) })
+        file.stream.on('error', err => fail(errorStatus(err), err.message))
+
+        r.req.on('end', () =>
+        {
+            if (failed) return
+
+            file.commit(err =>
+            {
+                if (err)
+                {
+                    fail(errorStatus(err), err.message)
+                    return
+                }
+
+                const code = stats ? 204 : 201
+                r.headers['content-length'] = 0
+                r.res.writeHead(code, r.headers)
+                r.res.end()
+                this.trace(`RES #${ r.id } [put] ${ code } ${ rel } (${ size } bytes)`)
+            })
+        })
+
+        r.req.pipe(file.stream)
+    }
+
+    /**
+    POST to a directory: ?mkdir=name creates a subdirectory, multipart/form-data file parts are saved into it.
+    responds with json, or redirects back to the directory for plain html form submissions
+    */
+
+    post (r)
+    {
+        const rel = this.writeTarget(r)
+        if (rel === null) return
+
+        let stats
+        try
+        {
+            stats = fs.statSync(joinRoot(r.mount.root, rel))
+        }
+        catch (err)
+        {
+            this.sendStatus(r, errorStatus(err), err.code === 'ENOENT' ? 'not found' : err.message)
+            return
+        }
+
+        if (!stats.isDirectory())
+        {
+            this.sendStatus(r, 409, `conflict: not a directory`)
+            return
+        }
+
+        const join = name => rel ? `${ rel }/${ name }` : name
+
+        // mkdir
+
+        const mkdir = r.query.get('mkdir')
+
+        if (mkdir !== null)
+        {
+            const name = uploadPath(mkdir)
+            const denied = name ? this.denyWrite(r.mount, join(name)) : 'invalid name'
+
+            if (denied)
+            {
+                this.sendStatus(r, name ? 403 : 400, `${ name ? 'forbidden' : 'bad request' }: ${ denied }`)
+                return
+            }
+
+            try
+            {
+                fs.mkdirSync(joinRoot(r.mount.root, join(name)))
+            }
+            catch (err)
+            {
+                this.sendStatus(r, err.code === 'EEXIST' ? 409 : errorStatus(err), err.code === 'EEXIST' ? `conflict: already exists` : err.message)
+                return
+            }
+
+            this.sendJson(r, 201, { created: join(name) })
+            this.trace(`RES #${ r.id } [mkdir] 201 ${ join(name) }`)
+            return
+        }
+
+        // uploads
+
+        const type = r.req.headers['content-type'] || ''
+        const boundary = /^multipart\/form-data/i.test(type) && headerParams(type).boundary
+
+        if (!boundary)
+        {
+            this.sendStatus(r, 415, `unsupported media type: expected multipart/form-data or ?mkdir=name`)
+            return
+        }
+
+        if (Number(r.req.headers['content-length']) > this.config.maxupload)
+        {
+            this.failUpload(r, [], 413, `payload too large: over ${ this.config.maxupload } bytes`)
+            return
+        }
+
+        const writers = []
+        const saved = []
+        let size = 0
+        let pending = 0
+        let parsed = false
+        let failed = false
+
+        const fail = (code, msg) =>
+        {
+            if (failed) return
+            failed = true
+            this.failUpload(r, writers, code, msg)
+        }
+
+        const respond = () =>
+        {
+            if (failed || !parsed || pending) return
+
+            if (!(r.req.headers['accept'] || '').includes('text/html'))
+            {
+                this.sendJson(r, 201, { files: saved })
+            }
+            else
+            {
+                r.headers['location'] = r.req.url.split('?')[0]
+                r.headers['content-length'] = 0
+                r.res.writeHead(303, r.headers)
+                r.res.end()
+            }
+
+            this.trace(`RES #${ r.id } [upload] ${ saved.length } file(s), ${ size } bytes`)
+        }
+
+        r.req.on('data', chunk =>
+        {
+            size += chunk.length
+            if (size > this.config.maxupload) fail(413, `payload too large: over ${ this.config.maxupload } bytes`)
+        })
+
+        multipart(r.req, boundary, headers =>
+        {
+            const filename = headerParams(headers['content-disposition'] || '').filename
+            if (failed || !filename) return null // form fields other than files are ignored
+
+            const name = uploadPath(filename)
+            const denied = name ? this.denyWrite(r.mount, join(name)) : 'invalid file name'
+
+            if (denied)
+            {
+                fail(name ? 403 : 400, `${ name ? 'forbidden' : 'bad request' }: ${ filename }: ${ denied }`)
+                return null
+            }
+
+            const abs = joinRoot(r.mount.root, join(name))
+
+            try
+            {
+                fs.mkdirSync(path.dirname(abs), { recursive: true })
+                if (fs.existsSync(abs) && fs.statSync(abs).isDirectory()) throw Object.assign(new Error(`conflict: ${ join(name) } is a directory`), { status: 409 })
+            }
+            catch (err)
+            {
+                fail(err.status || errorStatus(err), err.message)
+                return null
+            }
+
+            const file = atomicWriter(abs)
+            writers.push(file)
+            pending++
+
+            file.stream.on('error', err => fail(errorStatus(err), err.message))
+
+            file.stream.once('finish', () => file.commit(err =>
+            {
+                pending--
+
+                if (err)
+                {
+                    fail(errorStatus(err), err.message)
+                    return
+                }
+
+                saved.push({ name: join(name), size: file.stream.bytesWritten })
+                respond()
+            }))
+
+            return file.stream
+        },
+        err =>
+        {
+            if (err)
+            {
+                fail(400, `bad request: ${ err.message }`)
+                return
+            }
+
+            parsed = true
+            respond()
+        })
+    }
+
+    /** DELETE: removes a file, symlink or directory tree. the mount root can't be deleted */
+
+    delete (r)
+    {
+        const rel = this.writeTarget(r)
+        if (rel === null) return
+
+        if (!rel)
+        {
+            this.sendStatus(r, 403, `forbidden: the mount root can't be deleted`)
+            return
+        }
+
+        const abs = joinRoot(r.mount.root, rel)
+
+        let stats
+        try
+        {
+            stats = fs.lstatSync(abs)
+        }
+        catch (err)
+        {
+            this.sendStatus(r, errorStatus(err), err.code === 'ENOENT' ? 'not found' : err.message)
+            return
+        }
+
+        // fs.rm is node 14.14+
+        const remove = fs.rm || (stats.isDirectory() ? fs.rmdir : (abs, opts, done) => fs.unlink(abs, done))
+
+        remove(abs, { recursive: true }, err =>
+        {
+            if (err)
+            {
+                this.debug(err)
+                this.sendStatus(r, errorStatus(err), err.message)
+                return
+            }
+
+            r.headers['content-length'] = 0
+            r.res.writeHead(204, r.headers)
+            r.res.end()
+            this.trace(`RES #${ r.id } [delete] 204 ${ rel }`)
+        })
+    }
+
+    /**
+    @param {R} r
+    @param {number} code
+    @param {*} data - sent as json
+    */
+
+    sendJson (r, code, data)
+    {
+        const body = JSON.stringify(data, null, 2)
+        r.headers['content-type'] = 'application/json'
+        r.headers['content-length'] = Buffer.byteLength(body)
+        r.res.writeHead(code, r.headers)
+        r.res.end(body)
+    }
+
+    /**
+    serves config.fallback in place of a missing item if its last path segment has no extension
+    @returns {boolean} false if not applicable
+    */
+
+    sendFallback (r)
+    {
+        if (!this.config.fallback || path.extname(r.rel)) return false
+
+        const abs = `${ r.mount.root }/${ this.config.fallback }`
+        let stats
+        try { stats = fs.statSync(abs) } catch {}
+
+        if (!stats || !stats.isFile())
+        {
+            this.debug(`fallback not found: ${ abs }`)
+            return false
+        }
+
+        this.debug(`fallback: ${ r.rel } -> ${ this.config.fallback }`)
+        r.rel = this.config.fallback
+        r.abs = abs
+        r.stats = stats
+        this.sendFile(r)
+        return true
+    }
+
+    /**
+    @param {R} r
+    @param {number} code
+    @param {string} msg - plain text body and log message
+    @param {string} [page] - absolute path of an html body, overrides config.errorpages
+    */
+
+    sendStatus (r, code, msg, page)
+    {
+        this.trace(`RES #${ r.id } [status] ${ code } ${ msg }`)
+        let body = `${ code } : ${ msg }`
+        r.headers['content-type'] = 'text/plain'
+
+        if (!page && this.config.errorpages[code]) page = path.resolve((r.mount || this.config.mounts[this.config.mounts.length - 1]).root, this.config.errorpages[code])
+
+        if (page)
+        {
+            try
+            {
+                body = fs.readFileSync(page)
+                r.headers['content-type'] = 'text/html'
+            }
+            catch (err)
+            {
+                this.debug(err)
+            }
+        }
+
+        for (const key of ['etag', 'last-modified', 'content-encoding']) delete r.headers[key]
+        r.headers['content-length'] = Buffer.byteLength(body)
+        r.res.writeHead(code, r.headers)
+        r.res.end(body)
+    }
+
+    sendFile (r)
+    {
+        r.headers['content-type'] = mimeType(r.mount, r.abs)
+
+        const livereload = this.config.livereload && r.headers['content-type'] === 'text/html'
+        const variant = []
+        if (livereload) variant.push('livereload')
+
+        // precompressed sibling: r.abs and r.stats are switched to it
+
+        if (this.config.precompressed && !livereload)
+        {
+            vary(r.headers, 'accept-encoding')
+
+            // siblings are subject to the same containment rules as the requested file
+            const dir = path.posix.dirname(r.rel)
+            const available = Object.keys(precompressedExts).filter(enc =>
+            {
+                const ext = precompressedExts[enc]
+                try { if (!fs.statSync(r.abs + ext).isFile()) return false } catch { return false }
+                return this.listed(dir === '.' ? '' : dir, path.posix.basename(r.rel) + ext) && !this.deny(r.mount, r.rel + ext, r.abs + ext)
+            })
+
+            const encoding = negotiateEncoding(r.req.headers['accept-encoding'], available)
+
+            if (encoding)
+            {
+                r.abs += precompressedExts[encoding]
+                r.stats = fs.statSync(r.abs)
+                r.headers['content-encoding'] = encoding
+                variant.push(encoding)
+            }
+        }
+
+        // on-the-fly compression
+
+        let compress = ''
+
+        if (this.config.compress && !r.headers['content-encoding'] && compressible(r.headers['content-type']) && r.stats.size >= this.config.compressmin)
+        {
+            vary(r.headers, 'accept-encoding')
+            compress = negotiateEncoding(r.req.headers['accept-encoding'], Object.keys(precompressedExts))
+
+            if (compress)
+            {
+                r.headers['content-encoding'] = compress
+                variant.push(compress)
+            }
+        }
+
+        r.headers['etag'] = (compress ? 'W/' : '') + etag(r.stats, variant.join('-'))
+        r.headers['last-modified'] = r.stats.mtime.toUTCString()
+
+        // 304
+
+        if (notModified(r.req, r.headers['etag'], r.stats.mtime))
+        {
+            this.sendNotModified(r, 'file')
+            return
+        }
+
+        if (livereload)
+        {
+            this.sendFileLivereload(r, compress)
+            return
+        }
+
+        // open before any header is sent, so that failures get a proper status
+
+        let fd
+        const openstart = performance.now()
+
+        try
+        {
+            fd = fs.openSync(r.abs, 'r')
+        }
+        catch (err)
+        {
+            this.debug(err)
+            this.sendStatus(r, errorStatus(err), err.message)
+            return
+        }
+
+        r.timings.open = performance.now() - openstart
+
+        // 200 compressed on the fly. the encoded length isn't known upfront, ranges aren't supported
+
+        if (compress)
+        {
+            r.res.writeHead(200, r.headers)
+            this.sendParts(r, fd, [{}], encoder(compress))
+            return
+        }
+
+        const size = r.stats.size
+        r.headers['accept-ranges'] = 'bytes'
+
+        let ranges = null
+        if (r.req.headers['range'] && this.ifRange(r)) ranges = parseRange(size, r.req.headers['range'])
+
+        // 416
+
+        if (ranges === -1)
+        {
+            fs.close(fd, err => err && this.debug(err))
+            r.headers['content-range'] = `bytes */${ size }`
+            this.sendStatus(r, 416, `range not satisfiable: ${ r.req.headers['range'] }`)
+            return
+        }
+
+        // 200
+
+        if (!ranges)
+        {
+            r.headers['content-length'] = size
+            r.res.writeHead(200, r.headers)
+            this.sendParts(r, fd, [{}])
+            return
+        }
+
+        // 206 single range
+
+        if (ranges.length === 1)
+        {
+            const { start, end } = ranges[0]
+            r.headers['content-range'] = `bytes ${ start }-${ end }/${ size }`
+            r.headers['content-length'] = end - start + 1
+            r.res.writeHead(206, r.headers)
+            this.sendParts(r, fd, [{ start, end }])
+            return
+        }
+
+        // 206 multipart/byteranges
+
+        const boundary = crypto.randomBytes(16).toString('hex')
+        const parts = []
+        let length = 0
+
+        for (const { start, end } of ranges)
+        {
+            const head = `\r\n--${ boundary }\r\ncontent-type: ${ r.headers['content-type'] }\r\ncontent-range: bytes ${ start }-${ end }/${ size }\r\n\r\n`
+            parts.push(head, { start, end })
+            length += Buffer.byteLength(head) + end - start + 1
+        }
+
+        parts.push(`\r\n--${ boundary }--\r\n`)
+        length += Buffer.byteLength(parts[parts.length - 1])
+
+        r.headers['content-type'] = `multipart/byteranges; boundary=${ boundary }`
+        r.headers['content-length'] = length
+        r.res.writeHead(206, r.headers)
+        this.sendParts(r, fd, parts)
+    }
+
+    /**
+    pipes strings and byte ranges of r.abs to the response in order, then ends it and closes fd.
+    reading pauses while the client is slow to receive and stops when it disconnects
+    @param {R} r
+    @param {number} fd - open descriptor of r.abs
+    @param {Array.<string|{start: number, end: number}>} parts
+    @param {zlib.Gzip|zlib.BrotliCompress} [encoder] - piped into the response if given
+    */
+
+    sendParts (r, fd, parts, encoder)
+    {
+        if (r.req.method === 'HEAD') parts = []
+
+        const out = encoder || r.res
+        if (encoder) encoder.pipe(r.res)
+
+        let stream = null
+        let done = false
+
+        const release = () => fs.close(fd, err => err && this.debug(err))
+
+        const next = () =>
+        {
+            if (done) return
+
+            if (!parts.length)
+            {
+                done = true
+                release()
+                out.end()
+                this.trace(`RES #${ r.id } [file] OK`)
+                return
+            }
+
+            const part = parts.shift()
+
+            if (typeof part === 'string')
+            {
+                if (out.write(part)) next()
+                else out.once('drain', next)
+                return
+            }
+
+            stream = fs.createReadStream(null, { fd, start: part.start || 0, end: part.end, autoClose: false })
+
+            stream.on('error', err => // example: /proc/1/attr/apparmor/exec
+            {
+                done = true
+                release()
+                r.res.destroy() // the length has been announced, a short body would pass for a complete one
+                this.debug(err)
+                this.trace(`RES #${ r.id } [file] error: ${ err.message || err }`)
+            })
+
+            stream.on('end', next)
+            stream.pipe(out, { end: false })
+        }
+
+        // client aborts: stop reading, the descriptor is closed once a pending read has finished
+
+        r.res.once('close', () =>
+        {
+            if (done) return
+            done = true
+
+            // the client may close as soon as it has the announced length, before the stream's end event
+            const sent = !parts.length && stream && stream.bytesRead === (Number.isFinite(stream.end) ? stream.end - stream.start + 1 : r.stats.size)
+
+            if (stream && !stream.destroyed)
+            {
+                stream.once('close', release)
+                stream.destroy()
+            }
+            else
+            {
+                release()
+            }
+
+            if (encoder) encoder.destroy()
+            this.trace(`RES #${ r.id } [file] ${ sent ? 'OK' : 'aborted by the client' }`)
+        })
+
+        next()
+    }
+
+    /** whether the range request may be served as such according to If-Range. weak validators never match */
+
+    ifRange (r)
+    {
+        const ifRange = r.req.headers['if-range']
+        if (!ifRange) return true
+        if (ifRange.startsWith('W/')) return false
+        if (ifRange.startsWith('"')) return ifRange === r.headers['etag']
+        return Math.floor(r.stats.mtimeMs / 1000) * 1000 === Date.parse(ifRange)
+    }
+
+    /**
+    @param {R} r
+    @param {string} type - log tag
+    */
+
+    sendNotModified (r, type)
+    {
+        for (const key of ['content-type', 'content-length', 'content-encoding', 'accept-ranges']) delete r.headers[key]
+        r.res.writeHead(304, r.headers)
+        r.res.end()
+        this.trace(`RES #${ r.id } [${ type }] 304 not modified`)
+    }
+
+    sendDir (r)
+    {
+        if (r.query.get('search'))
+        {
+            this.sendSearch(r)
+            return
+        }
+
+        if (r.query.has('download'))
+        {
+            this.sendArchive(r, r.query.get('download'))
+            return
+        }
+
+        if (r.query.has('view'))
+        {
+            this.sendGallery(r)
+            return
+        }
+
+        if (dirFormat(r) === 'ndjson')
+        {
+            vary(r.headers, 'accept')
+            this.sendDirStream(r)
+            return
+        }
+
+        const items = this.dirItems(r)
+        if (items) this.sendListing(r, items, r.mount, r.stats.mtimeMs)
+    }
+
+    /**
+    the listed entries of a directory as dirItem()s. entries removed since the directory was read are skipped
+    @param {R} r - a directory
+    @param {(name: string) => boolean} [filter] - of names
+    @returns {Object[]|null} null if the directory can't be read, once an error status is sent
+    */
+
+    dirItems (r, filter = () => true)
+    {
+        let dirents
+        try
+        {
+            dirents = fs.readdirSync(r.abs, { withFileTypes: true })
+        }
+        catch (err)
+        {
+            this.debug(err)
+            this.sendStatus(r, errorStatus(err), err.message)
+            return null
+        }
+
+        const items = []
+
+        for (const dirent of dirents)
+        {
+            if (!this.listed(r.rel, dirent.name) || !filter(dirent.name)) continue
+
+            try
+            {
+                items.push(dirItem(r.abs, dirent))
+            }
+            catch (err)
+            {
+                this.debug(err) // removed since it was read
+            }
+        }
+
+        return items
+    }
+
+    /**
+    whether a directory entry is shown in listings and archives: hidden files and the mount's rule files are omitted
+    @param {string} rel - relative path of the listed directory in the mount root
+    @param {string} name
+    */
+
+    listed (rel, name)
+    {
+        if (this.config.hidedotfiles && name.startsWith('.')) return false
+        if (this.config.rulefiles && !rel && ruleFiles.includes(name)) return false
+        return true
+    }
+
+    /** lists config.mounts as directories at / when no mount covers it */
+
+    sendMounts (r)
+    {
+        const items = this.config.mounts.map(mount =>
+        {
+            try
+            {
+                const stat = fs.statSync(mount.root)
+                return { type: 'dir', name: mount.baseurl, size: fs.readdirSync(mount.root).length, time: stat.ctime.toISOString(), mtime: stat.mtime.toISOString(), mode: stat.mode }
+            }
+            catch (err)
+            {
+                this.debug(err)
+                return { type: 'dir', name: mount.baseurl, size: 'N/A' }
+            }
+        })
+
+        this.sendListing(r, items, { root: 'mounts', baseurl: '' }, 0)
+    }
+
+    /**
+    filters, sorts and sends listing items as html, json or ndjson
+    @param {R} r
+    @param {Object[]} items - see dirItem
+    @param {{root: string, baseurl: string}} mount - for dirview links and breadcrumbs
+    @param {number} mtimeMs - modification time of the listed directory
+    @param {{search?: Object}} [opts] - search: the items are search results, see dirview
+    */
+
+    sendListing (r, items, mount, mtimeMs, opts = {})
+    {
+        const format = dirFormat(r)
+        vary(r.headers, 'accept')
+
+        const listing = listingOpts(r.query)
+        const filtered = sortItems(items.filter(item => item.name.toLowerCase().includes(listing.q.toLowerCase())), listing)
+        const text = format === 'json' ? JSON.stringify(filtered, null, 2)
+            : format === 'ndjson' ? filtered.map(item => JSON.stringify(item) + '\n').join('')
+            : dirview(mount, r.rel, filtered, listing, { writable: this.config.writable && Boolean(r.mount), actions: Boolean(r.mount), search: opts.search })
+        const mtime = Math.max(mtimeMs, ...items.map(item => Date.parse(item.time) || 0))
+
+        this.sendPage(r, text, { html: 'text/html', json: 'application/json', ndjson: 'application/x-ndjson' }[format], mtime, opts.search ? 'search' : 'dir')
+    }
+
+    /**
+    sends a generated page with a weak etag of its content, compressed if enabled
+    @param {R} r
+    @param {string} text
+    @param {string} type - content type
+    @param {number} mtimeMs - for last-modified, of the newest item the page shows
+    @param {string} kind - for the log
+    */
+
+    sendPage (r, text, type, mtimeMs, kind)
+    {
+        let compress = ''
+
+        if (this.config.compress && Buffer.byteLength(text) >= this.config.compressmin)
+        {
+            vary(r.headers, 'accept-encoding')
+            compress = negotiateEncoding(r.req.headers['accept-encoding'], Object.keys(precompressedExts))
+            if (compress) r.headers['content-encoding'] = compress
+        }
+
+        r.headers['content-type'] = type
+        r.headers['etag'] = `W/"${ crypto.createHash('sha1').update(text).digest('hex') }${ compress ? '-' + compress : '' }"`
+        r.headers['last-modified'] = new Date(mtimeMs).toUTCString()
+
+        // 304
+
+        if (notModified(r.req, r.headers['etag'], new Date(mtimeMs)))
+        {
+            this.sendNotModified(r, kind)
+            return
+        }
+
+        const body = compress ? encodeSync(compress, text) : text
+        r.headers['content-length'] = Buffer.byteLength(body)
+        r.res.writeHead(200, r.headers)
+        r.res.end(body)
+        this.trace(`RES #${ r.id } [${ kind }] OK`)
+    }
+
+    /**
+    streams the listing as newline-delimited json, one item per line, in directory order<br>
+    nothing is buffered, so sorting isn't available; the ?q= filter is
+    */
+
+    sendDirStream (r)
+    {
+        const q = listingOpts(r.query).q.toLowerCase()
+
+        fs.opendir(r.abs, (err, dir) =>
+        {
+            if (err)
+            {
+                this.debug(err)
+                this.sendStatus(r, 500, err.message)
+                return
+            }
+
+            r.headers['content-type'] = 'application/x-ndjson'
+            r.res.writeHead(200, r.headers)
+
+            if (r.req.method === 'HEAD')
+            {
+                dir.close(() => {})
+                r.res.end()
+                this.trace(`RES #${ r.id } [dir] OK`)
+                return
+            }
+
+            let done = false
+
+            const stop = () =>
+            {
+                done = true
+                r.res.removeListener('drain', next)
+                dir.close(err => err && this.debug(err))
+            }
+
+            r.res.once('close', () =>
+            {
+                if (done) return
+                stop()
+                this.trace(`RES #${ r.id } [dir] aborted by the client`)
+            })
+
+            const next = () =>
+            {
+                dir.read((err, dirent) =>
+                {
+                    if (done) return
+
+                    if (err || !dirent)
+                    {
+                        if (err) this.debug(err)
+                        stop()
+                        r.res.end()
+                        this.trace(`RES #${ r.id } [dir] ${ err ? `error: ${ err.message }` : 'OK' }`)
+                        return
+                    }
+
+                    if (!this.listed(r.rel, dirent.name) || !dirent.name.toLowerCase().includes(q))
+                    {
+                        next()
+                        return
+                    }
+
+                    let item
+                    try
+                    {
+                        item = dirItem(r.abs, dirent)
+                    }
+                    catch (err)
+                    {
+                        this.debug(err) // removed since it was read
+                        next()
+                        return
+                    }
+
+                    if (r.res.write(JSON.stringify(item) + '\n')) next()
+                    else r.res.once('drain', next)
+                })
+            }
+
+            next()
+        })
+    }
+
+    /**
+    streams the directory tree as a zip or tar archive, built while it's sent. entries are read one at a time and the same rules as
+    for listings and serving apply: unlisted names are left out, and so are symlinks that deny refuses
+    @param {R} r - a directory
+    @param {string} format - see archiveFormats
+    */
+
+    sendArchive (r, format)
+    {
+        const archive = archiveFormats[format]
+
+        if (!archive)
+        {
+            this.sendStatus(r, 400, `bad request: unsupported archive format, expected one of: ${ Object.keys(archiveFormats).join(', ') }`)
+            return
+        }
+
+        const top = (r.rel ? path.posix.basename(r.rel) : path.basename(r.mount.root)) || 'root'
+        const filename = top + archive.ext
+
+        for (const name in r.headers) if (name.toLowerCase() === 'cache-control') delete r.headers[name]
+        r.headers['cache-control'] = 'no-cache' // no validators, the tree may change at any time
+        r.headers['content-type'] = archive.type
+        r.headers['content-disposition'] = `attachment; filename="${ filename.replace(/[^\x20-\x7e]|["\\]/g, '_') }"; filename*=UTF-8''${ encodeURIComponent(filename) }`
+        r.res.writeHead(200, r.headers)
+
+        if (r.req.method === 'HEAD')
+        {
+            r.res.end()
+            this.trace(`RES #${ r.id } [archive] OK`)
+            return
+        }
+
+        const gzip = format === 'tar.gz' ? zlib.createGzip() : null
+        const out = gzip || r.res
+        if (gzip) gzip.pipe(r.res)
+
+        const zip = format === 'zip' ? zipWriter() : null
+        let streams = [] // of the file being added
+        let done = false
+        let files = 0
+        let stopWalk = () => {}
+
+        const write = (buf, then) => out.write(buf) ? then() : out.once('drain', then)
+
+        const stop = () =>
+        {
+            done = true
+            stopWalk()
+            for (const stream of streams) stream.destroy()
+            if (gzip) gzip.destroy()
+        }
+
+        const fail = (err) =>
+        {
+            if (done) return
+            stop()
+            r.res.destroy() // a truncated archive must not pass for a complete one
+            this.debug(err)
+            this.trace(`RES #${ r.id } [archive] error: ${ err.message || err }`)
+        }
+
+        r.res.once('close', () =>
+        {
+            if (done) return
+            stop()
+            this.trace(`RES #${ r.id } [archive] aborted by the client`)
+        })
+
+        // unreadable files are left out. files that shrink while they're read are padded with zeros in tars, whose headers have their size
+
+        const addFile = (abs, stats, name, deflate, next) =>
+        {
+            fs.open(abs, 'r', (err, fd) =>
+            {
+                if (err || done)
+                {
+                    if (err) this.debug(err)
+                    else fs.close(fd, () => {})
+                    next()
+                    return
+                }
+
+                files++
+                let crc = 0
+                let size = 0
+                let csize = 0
+
+                const ended = () =>
+                {
+                    streams = []
+                    write(zip ? zip.descriptor(crc, deflate ? csize : size, size) : Buffer.concat([Buffer.alloc(stats.size - size), tarPadding(stats.size)]), next)
+                }
+
+                write(zip ? zip.local(name, stats, deflate) : tarHeader(name, stats), () =>
+                {
+                    if (done || !stats.size)
+                    {
+                        fs.close(fd, err => err && this.debug(err))
+                        if (!done) ended()
+                        return
+                    }
+
+                    const source = fs.createReadStream(null, { fd, start: 0, end: stats.size - 1 })
+                    source.on('data', chunk =>
+                    {
+                        size += chunk.length
+                        if (zip) crc = crc32(chunk, crc)
+                    })
+                    source.on('error', fail)
+                    streams = [source]
+
+                    if (deflate)
+                    {
+                        const deflater = zlib.createDeflateRaw()
+                        deflater.on('data', chunk => csize += chunk.length)
+                        deflater.on('error', fail)
+                        deflater.on('end', ended)
+                        source.pipe(deflater).pipe(out, { end: false })
+                        streams.push(deflater)
+                    }
+                    else
+                    {
+                        source.on('end', ended)
+                        source.pipe(out, { end: false })
+                    }
+                })
+            })
+        }
+
+        const visit = (entry, next) =>
+        {
+            const name = `${ top }/${ entry.path }`
+
+            if (entry.stats.isDirectory())
+            {
+                write(zip ? zip.local(`${ name }/`, entry.stats, false) : tarHeader(`${ name }/`, entry.stats), () => next(true))
+            }
+            else if (entry.stats.isFile())
+            {
+                addFile(entry.abs, entry.stats, name, Boolean(zip) && entry.stats.size > 0 && compressible(mimeType(r.mount, entry.abs)), next)
+            }
+            else
+            {
+                next()
+            }
+        }
+
+        write(zip ? zip.local(`${ top }/`, r.stats, false) : tarHeader(`${ top }/`, r.stats), () =>
+        {
+            if (done) return
+
+            stopWalk = this.walk(r.mount, r.rel, visit, err =>
+            {
+                if (err)
+                {
+                    fail(err)
+                    return
+                }
+
+                done = true
+                out.end(zip ? zip.end() : Buffer.alloc(1024)) // tar: two zero blocks
+                this.trace(`RES #${ r.id } [archive] OK ${ files } files`)
+            })
+        })
+    }
+
+    /**
+    walks a directory tree depth-first, one entry at a time, under the rules of listings and serving: names that listed() omits are
+    skipped, and so are symlinks that deny() refuses and symlinks to a directory that is being walked. unreadable directories are walked as empty
+    @param {Mount} mount
+    @param {string} rel - of the directory in the mount root
+    @param {(entry: {rel: string, abs: string, path: string, depth: number, dirent: fs.Dirent, stats: fs.Stats}, next: (descend?: boolean) => void) => void} visit
+    called for each entry, with stats of the symlink target for symlinks. path is relative to the walked directory, depth 1 for its entries.
+    next(true) walks into a directory
+    @param {(err?: Error) => void} done - not called once the walk is stopped
+    @returns {() => void} stops the walk
+    */
+
+    walk (mount, rel, visit, done)
+    {
+        const stack = [] // open directories: { dir: fs.Dir, rel, real, sub }, real: resolved path to detect symlink loops, sub: relative to the walked directory
+        let stopped = false
+
+        const stop = () =>
+        {
+            stopped = true
+            for (const frame of stack.splice(0)) frame.dir.close(() => {})
+        }
+
+        const enter = (rel, real, sub) =>
+        {
+            fs.opendir(joinRoot(mount.root, rel), (err, dir) =>
+            {
+                if (err) this.debug(err)
+                else if (stopped) dir.close(() => {})
+                else stack.push({ dir, rel, real, sub })
+                next()
+            })
+        }
+
+        const next = () =>
+        {
+            if (stopped) return
+
+            const frame = stack[stack.length - 1]
+
+            if (!frame)
+            {
+                stopped = true
+                done()
+                return
+            }
+
+            frame.dir.read((err, dirent) =>
+            {
+                if (stopped) return
+
+                if (err)
+                {
+                    stop()
+                    done(err)
+                    return
+                }
+
+                if (!dirent)
+                {
+                    stack.pop()
+                    frame.dir.close(() => {})
+                    next()
+                    return
+                }
+
+                if (!this.listed(frame.rel, dirent.name))
+                {
+                    next()
+                    return
+                }
+
+                const rel = frame.rel ? `${ frame.rel }/${ dirent.name }` : dirent.name
+                const abs = joinRoot(mount.root, rel)
+                const denied = dirent.isSymbolicLink() && this.deny(mount, rel, abs)
+
+                if (denied)
+                {
+                    this.debug(`walk: ${ rel } skipped: ${ denied }`)
+                    next()
+                    return
+                }
+
+                fs.stat(abs, (err, stats) =>
+                {
+                    if (stopped) return
+
+                    if (err)
+                    {
+                        this.debug(err)
+                        next()
+                        return
+                    }
+
+                    const found = (real) =>
+                    {
+                        if (real && stack.some(f => f.real === real)) // symlink to an ancestor
+                        {
+                            next()
+                            return
+                        }
+
+                        const sub = frame.sub ? `${ frame.sub }/${ dirent.name }` : dirent.name
+
+                        visit({ rel, abs, path: sub, depth: stack.length, dirent, stats }, descend =>
+                        {
+                            if (stopped) return
+                            if (descend && real) enter(rel, real, sub)
+                            else next()
+                        })
+                    }
+
+                    if (!stats.isDirectory()) found('')
+                    else if (!dirent.isSymbolicLink()) found(joinRoot(frame.real, dirent.name))
+                    else resolve(abs, real => real ? found(real) : next()) // entries removed or changed since the stat are skipped
+                })
+            })
+        }
+
+        const resolve = (abs, then) =>
+        {
+            fs.realpath(abs, (err, real) =>
+            {
+                if (stopped) return
+                if (err) this.debug(err)
+                then(err ? '' : real.replace(/\\/g, '/'))
+            })
+        }
+
+        resolve(joinRoot(mount.root, rel), real =>
+        {
+            if (real) enter(rel, real, '')
+            else next() // walked as empty
+        })
+
+        return stop
+    }
+
+    /**
+    ?search= on a directory: walks its subtree for entries whose names match, see searchMatcher. with ?contents, text files that
+    contain the term match as well. results are listed like directory entries named by their relative path, in any listing format.
+    the walk stops at config.searchlimit results or after config.searchtime ms, and descends config.searchdepth levels at most.
+    ?limit= and ?depth= can lower these. an early stop is reported in the page and as x-search-stopped: limit / time
+    @param {R} r - a directory
+    */
+
+    sendSearch (r)
+    {
+        const term = r.query.get('search')
+        const contents = r.query.has('contents')
+        const limit = Math.min(parseInt(r.query.get('limit')) || Infinity, this.config.searchlimit)
+        const depth = Math.min(parseInt(r.query.get('depth')) || Infinity, this.config.searchdepth)
+        let matches
+        try
+        {
+            matches = searchMatcher(term)
+        }
+        catch (err)
+        {
+            this.sendStatus(r, 400, `bad request: ${ err.message }`)
+            return
+        }
+
+        const needle = term.toLowerCase()
+        const results = []
+        let reading = null // file whose content is being searched
+        let finished = false
+
+        const stop = () =>
+        {
+            finished = true
+            clearTimeout(timer)
+            stopWalk()
+            if (reading) reading.destroy()
+        }
+
+        const finish = (stopped = '') =>
+        {
+            if (finished) return
+            stop()
+            if (stopped) r.headers['x-search-stopped'] = stopped
+            this.sendListing(r, results, r.mount, r.stats.mtimeMs, { search: { term, contents, stopped } })
+        }
+
+        const add = (entry) =>
+        {
+            let item
+            try
+            {
+                item = dirItem(path.dirname(entry.abs), entry.dirent)
+            }
+            catch (err)
+            {
+                this.debug(err) // removed since it was found
+                return
+            }
+
+            item.name = entry.path
+            results.push(item)
+            if (results.length >= limit) finish('limit')
+        }
+
+        // contents are streamed until the first match. a NUL character ends the search of a file as binary
+
+        const search = (entry, next) =>
+        {
+            let tail = ''
+            let found = false
+
+            reading = fs.createReadStream(entry.abs, { encoding: 'utf8' })
+
+            reading.on('data', chunk =>
+            {
+                if (chunk.includes('\0'))
+                {
+                    reading.destroy()
+                    return
+                }
+
+                const text = tail + chunk.toLowerCase()
+                found = text.includes(needle)
+                if (found) reading.destroy()
+                else tail = text.slice(text.length - needle.length + 1)
+            })
+
+            reading.on('error', err => this.debug(err))
+
+            reading.on('close', () =>
+            {
+                reading = null
+                if (finished) return
+                if (found) add(entry)
+                if (!finished) next()
+            })
+        }
+
+        const visit = (entry, next) =>
+        {
+            const descend = entry.depth < depth
+
+            if (matches(entry.dirent.name, entry.path))
+            {
+                add(entry)
+                if (!finished) next(descend)
+            }
+            else if (contents && entry.stats.isFile() && ['markdown', 'code', 'text'].includes(previewKind(mimeType(r.mount, entry.abs), path.extname(entry.abs).slice(1).toLowerCase())))
+            {
+                search(entry, next)
+            }
+            else
+            {
+                next(descend)
+            }
+        }
+
+        const timer = setTimeout(() => finish('time'), this.config.searchtime)
+
+        const stopWalk = this.walk(r.mount, r.rel, visit, err =>
+        {
+            if (!err)
+            {
+                finish()
+                return
+            }
+
+            stop()
+            this.debug(err)
+            this.sendStatus(r, errorStatus(err), err.message)
+        })
+
+        r.res.once('close', () =>
+        {
+            if (finished) return
+            stop()
+            this.trace(`RES #${ r.id } [search] aborted by the client`)
+        })
+    }
+
+    // previews
+
+    /**
+    renders a file as a page in the dirview style. the renderer is picked by previewKind from its mime type,
+    text files that turn out to be binary get none
+    @param {R} r - a file
+    */
+
+    sendPreview (r)
+    {
+        const type = mimeType(r.mount, r.abs)
+        let kind = previewKind(type, path.extname(r.abs).slice(1).toLowerCase())
+        let text = ''
+
+        if (['markdown', 'code', 'text'].includes(kind))
+        {
+            const buf = Buffer.alloc(Math.min(r.stats.size, previewLimit))
+            const openstart = performance.now()
+            let length
+
+            try
+            {
+                const fd = fs.openSync(r.abs, 'r')
+                try { length = fs.readSync(fd, buf, 0, buf.length, 0) } finally { fs.closeSync(fd) }
+            }
+            catch (err)
+            {
+                this.sendStatus(r, errorStatus(err), err.message)
+                return
+            }
+
+            r.timings.open = performance.now() - openstart
+            if (buf.subarray(0, length).includes(0)) kind = ''
+            else text = buf.toString('utf8', 0, length)
+        }
+
+        const html = preview(r.mount, r.rel, kind, text, { type, size: r.stats.size, script: this.livereloadScript(r) })
+        this.sendPage(r, html, 'text/html', r.stats.mtimeMs, 'preview')
+    }
+
+    /** @param {R} r - a directory */
+
+    sendGallery (r)
+    {
+        const listing = listingOpts(r.query)
+        const items = this.dirItems(r, name => name.toLowerCase().includes(listing.q.toLowerCase()))
+        if (!items) return
+
+        const mtime = Math.max(r.stats.mtimeMs, ...items.map(item => Date.parse(item.time) || 0))
+        this.sendPage(r, gallery(r.mount, r.rel, sortItems(items, listing), this.livereloadScript(r)), 'text/html', mtime, 'gallery')
+    }
+
+    // livereload
+
+    /** @returns {string} client script for html of r's mount, empty if config.livereload is off */
+
+    livereloadScript (r)
+    {
+        return this.config.livereload ? livereloadClient('/' + (r.mount.baseurl ? `${ r.mount.baseurl }/` : '') + livereloadPath) : ''
+    }
+
+    /**
+    @param {R} r
+    @param {string} compress - content-coding to apply, if any
+    */
+
+    sendFileLivereload (r, compress)
+    {
+        fs.readFile(r.abs, 'utf8', (err, html) =>
+        {
+            if (err)
+            {
+                this.debug(err)
+                this.sendStatus(r, errorStatus(err), err.message)
+                return
+            }
+
+            const script = this.livereloadScript(r)
+            const pos = html.toLowerCase().lastIndexOf('</body>')
+            html = pos === -1 ? html + script : html.slice(0, pos) + script + html.slice(pos)
+
+            const body = compress ? encodeSync(compress, html) : html
+            r.headers['content-length'] = Buffer.byteLength(body)
+            r.res.writeHead(200, r.headers)
+            r.res.end(body)
+            this.trace(`RES #${ r.id } [file] OK (livereload)`)
+        })
+    }
+
+    sendLivereload (r)
+    {
+        r.res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache' })
+
+        if (r.req.method === 'HEAD')
+        {
+            r.res.end()
+            this.trace(`RES #${ r.id } [livereload] OK`)
+            return
+        }
+
+        r.res.write('retry: 1000\n\n')
+        this.lrclients.add(r.res)
+        this.trace(`RES #${ r.id } [livereload] connected`)
+
+        r.req.on('close', () =>
+        {
+            this.lrclients.delete(r.res)
+            this.trace(`RES #${ r.id } [livereload] disconnected`)
+        })
+    }
+
+    /**
+    watches the mount roots and notifies livereload clients about changes<br>
+    changes are batched; a batch consisting only of stylesheets is sent as a `css` event, anything else as `reload`
+    */
+
+    watch ()
+    {
+        let timer = null
+        let changed = new Set()
+
+        const notify = (root, abs) =>
+        {
+            abs = path.resolve(abs)
+            if (process.platform === 'win32') abs = abs.replace(/\\/g, '/')
+            if (abs === this.config.logfile) return // would reload on every request otherwise
+            if (this.config.logrotate && path.dirname(abs) === path.dirname(this.config.logfile) && path.basename(abs).startsWith(path.parse(this.config.logfile).name + '.')) return
+
+            changed.add(path.relative(root, abs).replace(/\\/g, '/'))
+            clearTimeout(timer)
+            timer = setTimeout(() =>
+            {
+                const event = [...changed].every(rel => path.extname(rel).toLowerCase() === '.css') ? 'css' : 'reload'
+                this.log(`livereload: ${ event } ${ changed.size } change(s), ${ this.lrclients.size } client(s)`)
+                this.debug(changed)
+                for (const res of this.lrclients) res.write(`event: ${ event }\ndata: ${ JSON.stringify([...changed]) }\n\n`)
+                changed = new Set()
+            }, 100)
+        }
+
+        const watchRoot = (root) =>
+        {
+            if (this.watchers.has(root)) return
+
+            if (recursiveWatch)
+            {
+                const watcher = fs.watch(root, { recursive: true }, (event, file) =>
+                {
+                    if (file) notify(root, `${ root }/${ file }`)
+                })
+
+                watcher.on('error', err => this.debug(err))
+                this.watchers.set(root, watcher)
+                return
+            }
+
+            // no recursive fs.watch: one watcher per directory
+
+            const watchDir = (dir) =>
+            {
+                if (this.watchers.has(dir)) return
+
+                let watcher
+                try
+                {
+                    watcher = fs.watch(dir, (event, file) =>
+                    {
+                        if (!file) return
+                        const abs = `${ dir }/${ file }`
+                        let stats
+                        try { stats = fs.statSync(abs) } catch {}
+
+                        if (stats && stats.isDirectory())
+                        {
+                            watchDir(abs)
+                        }
+                        else if (!stats && this.watchers.has(abs))
+                        {
+                            this.watchers.get(abs).close()
+                            this.watchers.delete(abs)
+                        }
+
+                        notify(root, abs)
+                    })
+                }
+                catch (err)
+                {
+                    this.debug(err)
+                    return
+                }
+
+                watcher.on('error', err => this.debug(err))
+                this.watchers.set(dir, watcher)
+
+                try
+                {
+                    for (const dirent of fs.readdirSync(dir, { withFileTypes: true }))
+                    {
+                        if (dirent.isDirectory()) watchDir(dir === '/' ? `/${ dirent.name }` : `${ dir }/${ dirent.name }`)
+                    }
+                }
+                catch (err)
+                {
+                    this.debug(err)
+                }
+            }
+
+            watchDir(root)
+        }
+
+        for (const { root } of this.config.mounts) watchRoot(root)
+    }
+
+    /** @param {string} msg */
+
+    log (msg)
+    {
+        const d = new Date()
+        if (this.config.verbose) console.log(`${ xdDatetimeFormat(d, `{hh24}:{mm}:{ss}.{msmsms}`) } ${ msg }`)
+        if (this.logfile) this.writeLog(`${ xdDatetimeFormat(d, `{yyyy}-{MM}-{dd} {hh24}:{mm}:{ss}.{msmsms} ({tzs}{tzhh}:{tzmm})`) } ${ msg }\n`)
+    }
+
+    /**
+    adds a finished request to the config.timing summary
+    @param {R} r
+    */
+
+    profile (r)
+    {
+        const profiles = this.profiles
+        profiles.count++
+        for (const [phase, ms] of Object.entries(r.timings)) profiles.totals[phase] = (profiles.totals[phase] || 0) + ms
+
+        const slowest = profiles.slowest
+        if (slowest.length === 10 && r.timings.total <= slowest[9].timings.total) return
+
+        slowest.push({ id: r.id, method: r.req.method, url: this.logUrl(r.req.url), status: r.res.statusCode, timings: r.timings })
+        slowest.sort((a, b) => b.timings.total - a.timings.total)
+        if (slowest.length > 10) slowest.pop()
+    }
+
+    /** logs request count, phase totals and averages and the slowest requests */
+
+    summary ()
+    {
+        const { count, totals, slowest } = this.profiles
+        if (!count) return
+
+        const ms = n => `${ n.toFixed(1) }ms`
+        this.log(`timing: ${ count } request(s), total ${ ms(totals.total) }, avg ${ ms(totals.total / count) }`)
+        this.log(`timing: phase totals: ${ Object.entries(totals).filter(([phase]) => phase !== 'total').map(([phase, n]) => `${ phase } ${ ms(n) }`).join(', ') }`)
+        this.log(`timing: slowest:`)
+
+        for (const { id, method, url, status, timings } of slowest)
+        {
+            const phases = Object.entries(timings).filter(([phase]) => phase !== 'total').map(([phase, n]) => `${ phase } ${ ms(n) }`).join(', ')
+            this.log(`  #${ id } ${ ms(timings.total).padStart(9) } ${ status } ${ method } ${ url } (${ phases })`)
+        }
+    }
+
+    /**
+    @param {string} url - request url
+    @returns {string} the url for logs, with the value of ?token= masked if config.auth checks tokens
+    */
+
+    logUrl (url)
+    {
+        return this.config.auth.tokens.length ? redactToken(url, 'redacted') : url
+    }
+
+    /** REQ / RES lines. with config.logformat, access records replace them and they go to the debug output */
+
+    trace (msg)
+    {
+        if (this.config.logformat) this.debug(msg)
+        else this.log(msg)
+    }
+
+    /**
+    writes the config.logformat record of a finished or aborted request
+    @param {http.IncomingMessage} req
+    @param {{id: string, status: number, bytes: number, start: number, user?: string}} info - start: performance.now() at arrival
+    */
+
+    access (req, info)
+    {
+        const date = new Date()
+
+        const fields =
+        {
+            id: info.id,
+            remote: req.socket.remoteAddress || '-',
+            user: info.user || '-',
+            method: req.method,
+            url: this.logUrl(req.url),
+            protocol: `HTTP/${ req.httpVersion }`,
+            status: info.status,
+            bytes: req.method === 'HEAD' ? 0 : info.bytes,
+            duration: Number((performance.now() - info.start).toFixed(3)), // ms
+            referer: req.headers['referer'] || '-',
+            useragent: req.headers['user-agent'] || '-'
+        }
+
+        const line = this.config.logformat === 'json'
+            ? JSON.stringify({ time: date.toISOString(), ...fields })
+            : formatAccess(this.config.logformat, date, fields)
+
+        if (this.config.verbose) console.log(line)
+        if (this.logfile) this.writeLog(line + '\n')
+    }
+
+    /** opens config.logfile. with config.logrotate, an existing file is appended to, so that restarts don't lose the current period */
+
+    openLog ()
+    {
+        let stats
+        if (this.config.logrotate) try { stats = fs.statSync(this.config.logfile) } catch {}
+
+        this.logfile = fs.createWriteStream(this.config.logfile, { flags: stats ? 'a' : 'w' })
+        this.logsize = stats ? stats.size : 0
+        this.logperiod = xdDatetimeFormat(stats ? stats.mtime : new Date(), logPeriods[this.config.logrotate] || '{yyyy}')
+    }
+
+    /** @param {string} text - appended to config.logfile, rotating it first if due */
+
+    writeLog (text)
+    {
+        const length = Buffer.byteLength(text)
+
+        if (this.config.logrotate)
+        {
+            const due = typeof this.config.logrotate === 'number'
+                ? this.logsize > 0 && this.logsize + length > this.config.logrotate
+                : xdDatetimeFormat(new Date(), logPeriods[this.config.logrotate]) !== this.logperiod
+
+            if (due) this.rotateLog()
+        }
+
+        this.logfile.write(text)
+        this.logsize += length
+    }
+
+    /** renames config.logfile to name.<period or time>.ext, opens a new one and removes rotated files beyond config.logkeep */
+
+    rotateLog ()
+    {
+        const { dir, name, ext } = path.parse(this.config.logfile)
+        const suffix = typeof this.config.logrotate === 'number' ? xdDatetimeFormat(new Date(), '{yyyy}-{MM}-{dd}-{hh24}{mm}{ss}') : this.logperiod
+
+        let rotated = `${ dir }/${ name }.${ suffix }${ ext }`
+        for (let i = 1; fs.existsSync(rotated); i++) rotated = `${ dir }/${ name }.${ suffix }-${ i }${ ext }`
+
+        this.logfile.end()
+
+        try
+        {
+            fs.renameSync(this.config.logfile, rotated)
+        }
+        catch (err)
+        {
+            this.debug(err)
+        }
+
+        this.logfile = fs.createWriteStream(this.config.logfile)
+        this.logsize = 0
+        this.logperiod = xdDatetimeFormat(new Date(), logPeriods[this.config.logrotate] || '{yyyy}')
+
+        if (!this.config.logkeep) return
+
+        const stamp = /^\d{4}-\d\d-\d\d[-\d]*$/
+        const old = fs.readdirSync(dir)
+            .filter(file => file.startsWith(`${ name }.`) && file.endsWith(ext) && stamp.test(file.slice(name.length + 1, file.length - ext.length)))
+            .map(file => ({ file, mtimeMs: fs.statSync(`${ dir }/${ file }`).mtimeMs }))
+            .sort((a, b) => a.mtimeMs - b.mtimeMs)
+            .map(({ file }) => file)
+
+        for (const file of old.slice(0, -this.config.logkeep))
+        {
+            try { fs.unlinkSync(`${ dir }/${ file }`) } catch (err) { this.debug(err) }
+        }
+    }
+
+    /** @param {*} msg */
+
+    debug (msg)
+    {
+        if (this.config.debug) console.log(msg)
+    }
+}
+
+// livereload
+
+const livereloadPath = '__rxfs/livereload' // relative to baseurl
+
+// fs.watch supports recursive on macos and windows, and on linux since node 19.1. older linux versions ignore the option silently
+const [nodeMajor, nodeMinor] = process.versions.node.split('.').map(Number)
+const recursiveWatch = process.platform === 'darwin' || process.platform === 'win32' || process.platform === 'linux' && (nodeMajor > 19 || nodeMajor === 19 && nodeMinor >= 1)
+
+const livereloadClient = (url) => `
+<script>
+(function () {
+    var source = new EventSource(${ JSON.stringify(url) })
+    source.addEventListener('reload', function () { location.reload() })
+    source.addEventListener('css', function () {
+        var links = document.querySelectorAll('link[rel="stylesheet"]')
+        for (var i = 0; i < links.length; i++) {
+            var href = new URL(links[i].href)
+            href.searchParams.set('livereload', Date.now())
+            links[i].href = href.href
+        }
+    })
+})()
+</script>
+`
+
+// dirview
+
+const formatBytes = function (b)
+{
+    if (b < 1024)
+    {
+        return b + ' B'
+    }
+    else if (b < 1024 * 1024)
+    {
+        return (b / 1024).toFixed(2) + ' K' // kib
+    }
+    else if (b < 1024 * 1024 * 1024)
+    {
+        return (b / 1024 / 1024).toFixed(2) + ' M' // mib
+    }
+    else
+    {
+        return (b / 1024 / 1024 / 1024).toFixed(2) + ' G' // gib
+    }
+}
+
+const formatDate = function (d)
+{
+    if (typeof d === 'string') d = new Date(d)
+    return xdDatetimeFormat(d, `{yyyy}-{MM}-{dd} {hh24}:{mm}:{ss} ({tzs}{tzhh}:{tzmm})`)
+}
+
+/**
+@param {fs.Dirent} dirent
+@returns {string} kind of a dirent that's neither a file nor a directory
+*/
+
+function direntKind (dirent)
+{
+    if (dirent.isSymbolicLink()) return 'symlink'
+    if (dirent.isSocket()) return 'socket'
+    if (dirent.isFIFO()) return 'fifo'
+    if (dirent.isBlockDevice()) return 'block'
+    if (dirent.isCharacterDevice()) return 'char'
+    return 'unknown'
+}
+
+/** @param {string} str */
+
+const escapeHtml = function (str)
+{
+    return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c])
+}
+
+/**
+percent-encodes each segment of a slash-separated path
+@param {string} relpath
+*/
+
+const encodePath = function (relpath)
+{
+    return relpath.split('/').map(encodeURIComponent).join('/')
+}
+
+/**
+listing item of a directory entry. `time` is the ctime, `size` of a directory is its entry count
+@param {string} dir - absolute path of the directory
+@param {fs.Dirent} dirent
+@returns {{type: string, name: string, size: *, time: string, mtime: string, mode: number, kind?: string, target?: string}}
+*/
+
+function dirItem (dir, dirent)
+{
+    const abs = `${ dir }/${ dirent.name }`
+
+    if (dirent.isFile() || dirent.isDirectory())
+    {
+        const stat = fs.statSync(abs)
+        const item = { type: dirent.isFile() ? 'file' : 'dir', name: dirent.name, size: stat.size, time: stat.ctime.toISOString(), mtime: stat.mtime.toISOString(), mode: stat.mode }
+
+        if (dirent.isDirectory())
+        {
+            try
+            {
+                item.size = fs.readdirSync(abs).length
+            }
+            catch (err)
+            {
+                item.size = 'N/A'
+            }
+        }
+
+        return item
+    }
+
+    const item = { type: 'etc', kind: direntKind(dirent), name: dirent.name }
+
+    try
+    {
+        const lstat = fs.lstatSync(abs)
+        item.time = lstat.ctime.toISOString()
+        item.mtime = lstat.mtime.toISOString()
+        item.mode = lstat.mode
+    }
+    catch {}
+
+    try { if (dirent.isSymbolicLink()) item.target = fs.readlinkSync(abs) } catch {}
+    return item
+}
+
+/**
+listing format requested via ?format= or the accept header
+@param {R} r
+@returns {string} html / json / ndjson
+*/
+
+function dirFormat (r)
+{
+    const format = r.query.get('format')
+    if (['html', 'json', 'ndjson'].includes(format)) return format
+
+    const accept = r.req.headers['accept'] || ''
+    if (accept.includes('application/x-ndjson')) return 'ndjson'
+    if (accept.includes('application/json') && !accept.includes('text/html')) return 'json'
+    return 'html'
+}
+
+/**
+reads directory listing options from the query string, falling back to defaults on invalid values
+@param {URLSearchParams} query
+@returns {{sort: string, order: string, q: string}}
+*/
+
+function listingOpts (query)
+{
+    return {
+        sort: ['name', 'size', 'time'].includes(query.get('sort')) ? query.get('sort') : 'name',
+        order: query.get('order') === 'desc' ? 'desc' : 'asc',
+        q: query.get('q') || ''
+    }
+}
+
+/**
+query string that carries a non-default sort over to other listings
+@param {{sort: string, order: string}} listing
+*/
+
+function listingQuery (listing)
+{
+    return listing.sort === 'name' && listing.order === 'asc' ? '' : `?sort=${ listing.sort }&order=${ listing.order }`
+}
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' })
+
+/**
+sorts listing items in place. dirs come first, then files, then the rest; names compare naturally (file2 before file10)
+@param {Array.<{type: string, name: string, size: *, time: string}>} items
+@param {{sort: string, order: string}} listing
+*/
+
+function sortItems (items, listing)
+{
+    const types = ['dir', 'file', 'etc']
+    const dir = listing.order === 'desc' ? -1 : 1
+    const num = (val) => typeof val === 'number' ? val : -1
+
+    return items.sort((a, b) =>
+    {
+        if (a.type !== b.type) return types.indexOf(a.type) - types.indexOf(b.type)
+
+        let cmp = 0
+        if (listing.sort === 'size') cmp = num(a.size) - num(b.size)
+        if (listing.sort === 'time') cmp = (Date.parse(a.time) || 0) - (Date.parse(b.time) || 0)
+        return dir * (cmp || collator.compare(a.name, b.name))
+    })
+}
+
+// writable mode: uploads to the listed directory, then reloads it
+const dirviewWritable = `
+<script>
+    const area = document.querySelector('.upload')
+    const status = area.querySelector('.status')
+    const done = res => res.ok ? location.reload() : res.text().then(text => status.textContent = text)
+    const failed = err => status.textContent = err.message
+
+    const upload = files =>
+    {
+        if (!files.length) return
+        const form = new FormData()
+        for (const file of files) form.append('files', file, file.webkitRelativePath || file.name)
+        status.textContent = 'uploading ' + files.length + ' file(s)...'
+        fetch(location.pathname, { method: 'POST', body: form, headers: { accept: 'application/json' } }).then(done, failed)
+    }
+
+    area.querySelector('input').onchange = e => upload(e.target.files)
+    document.ondragover = e => { e.preventDefault(); area.classList.add('over') }
+    document.ondragleave = e => { if (!e.relatedTarget) area.classList.remove('over') }
+    document.ondrop = e => { e.preventDefault(); area.classList.remove('over'); upload(e.dataTransfer.files) }
+
+    area.querySelector('.mkdir').onclick = e =>
+    {
+        e.preventDefault()
+        const name = prompt('folder name')
+        if (name) fetch(location.pathname + '?mkdir=' + encodeURIComponent(name), { method: 'POST', headers: { accept: 'application/json' } }).then(done, failed)
+    }
+
+    for (const button of document.querySelectorAll('.delete'))
+    {
+        button.onclick = () => confirm('delete ' + button.dataset.name + '?') && fetch(button.dataset.href, { method: 'DELETE' }).then(done, failed)
+    }
+</script>`
+
+/**
+links to the mount root and each directory of relpath, for the breadcrumbs bar
+@param {{root: string, baseurl: string}} mount
+@param {string} relpath
+@param {string} query - appended to each link
+*/
+
+function breadcrumbLinks (mount, relpath, query)
+{
+    const root = mount.root
+    const base = mount.baseurl ? `/${ encodePath(mount.baseurl) }` : ''
+    let links = `<a href="${ base }/${ query }">${ escapeHtml(root) }</a>`
+
+    if (relpath)
+    {
+        const split = relpath.split('/')
+        for (let i = 0; i < split.length; i++)
+        {
+            const href = `${ base }/${ encodePath(split.slice(0, i + 1).join('/')) }${ query }`
+            const text = (root === '/' && i === 0) ? split[i] : '/' + split[i]
+            links += `<a href="${ href }">${ escapeHtml(text) }</a>`
+        }
+    }
+
+    return links
+}
+
+/** ?download= links of the current directory */
+
+function archiveLinks ()
+{
+    return Object.keys(archiveFormats).map(format => `<a href="?download=${ format }">${ format }</a>`).join(' ')
+}
+
+/** page style of listings, also used by previews */
+
+const dirviewStyle = `\
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            background-color: #ededed;
+            font-family: monospace;
+            font-size: 1.25em;
+        }
+        
+        .main {
+            display: flex;
+            flex-flow: column nowrap;
+            max-width: 1280px;
+            margin: 0 auto;
+        }
+        
+        a {
+            text-decoration: none;
+            color: rgb(50, 50, 50);
+        }
+        
+        hr {
+            margin: 0 0 15px 0;
+            height: 1px;
+            color: rgba(129,129,129,0.5);
+        }
+        
+        .breadcrumbs {
+            margin: 15px 0;
+            line-height: 20px;
+        }
+        
+        .breadcrumbs a, .breadcrumbs span {
+            color: rgba(129,129,129,0.5);
+        }
+        
+        .breadcrumbs a:hover, .breadcrumbs > a:last-of-type {
+            color: rgb(50, 50, 50);
+        }
+        
+        .actions {
+            float: right;
+        }
+        
+        table {
+            /*border: 1px solid #333;*/
+            width: 100%;
+            max-width: 1280px;
+            border-spacing: 0;
+            margin-bottom: 50px;
+        }
+        
+        tr {
+            /*border-top: 1px solid #333;*/
+        }
+        
+        tr:nth-child(even) {
+            background-color: #e5e5e5;
+        }
+        
+        tr:hover {
+            background-color: #fff;
+        }
+        
+        td {
+            text-align: left;
+            padding: 0;
+            white-space:nowrap;
+        }
+        
+        td:first-child {
+            width: 100%;
+        }
+        
+        td:nth-child(2n) {
+            padding-right: 15px;
+            text-align: right;
+        }
+        
+        td:nth-child(3n) {
+            text-align: right;
+        }
+        
+        td a {
+            display: block;
+            width: 100%;
+            /*padding-right: 50px;*/
+        }
+        
+        .bold {
+            font-weight: bold;
+        }
+        
+        .gray {
+            color: rgba(129,129,129,0.5);
+        }
+        
+        .filter {
+            margin-bottom: 15px;
+        }
+        
+        .filter input {
+            font: inherit;
+            padding: 2px 5px;
+            width: 100%;
+            max-width: 320px;
+        }
+        
+        .filter input[type="checkbox"] {
+            width: auto;
+        }
+        
+        .filters {
+            display: flex;
+            gap: 15px;
+        }
+        
+        .filters .filter {
+            flex: 1;
+        }
+        
+        .notice {
+            margin-bottom: 15px;
+            color: rgba(129,129,129,0.8);
+        }
+        
+        th {
+            text-align: right;
+            padding-right: 15px;
+            white-space: nowrap;
+        }
+        
+        th:first-child {
+            text-align: left;
+        }
+        
+        th:last-child {
+            padding-right: 0;
+        }
+        
+        th a {
+            color: rgba(129,129,129,0.8);
+        }
+        
+        .etc, .etc a {
+            font-style: italic;
+            color: rgb(110, 110, 150);
+        }
+        
+        .upload {
+            margin-bottom: 15px;
+            padding: 15px;
+            border: 2px dashed rgba(129,129,129,0.5);
+            color: rgba(129,129,129,0.8);
+        }
+        
+        .upload.over {
+            border-color: rgb(50, 50, 50);
+            background-color: #fff;
+        }
+        
+        .upload label, .upload a {
+            cursor: pointer;
+            text-decoration: underline;
+        }
+        
+        .delete {
+            font: inherit;
+            border: none;
+            background: none;
+            cursor: pointer;
+            color: rgba(129,129,129,0.5);
+        }
+        
+        .delete:hover {
+            color: rgb(180, 50, 50);
+        }
+`
+
+/**
+@param {{root: string, baseurl: string}} mount
+@param {string} relpath - of the listed directory in the mount root
+@param {Object[]} items - see dirItem
+@param {{sort: string, order: string, q: string}} [listing] - see listingOpts
+@param {{writable?: boolean, actions?: boolean, search?: {term: string, contents: boolean, stopped: string}}} [opts] - writable: upload area, new folder and delete buttons.
+actions: gallery and archive links, search form. search: items are search results, see RXFS.sendSearch
+*/
+
+function dirview (mount, relpath, items, listing = { sort: 'name', order: 'asc', q: '' }, opts = {})
+{
+    const base = mount.baseurl ? `/${ encodePath(mount.baseurl) }` : '' // root-relative, so that links work on any host
+    const keep = listingQuery(listing)
+
+    // breadcrumbs, gallery and directory downloads
+
+    let breadcrumbs = breadcrumbLinks(mount, relpath, keep)
+    if (opts.actions) breadcrumbs += `<span class="actions"><a href="?view">gallery</a> &middot; download ${ archiveLinks() }</span>`
+
+    breadcrumbs = `<div class="breadcrumbs">${ breadcrumbs }</div>`
+
+    // filter, search. search results keep their search in the filter and the column links
+
+    const search = opts.search || { term: '', contents: false, stopped: '' }
+    const searchq = search.term ? `&search=${ encodeURIComponent(search.term) }${ search.contents ? '&contents=1' : '' }` : ''
+
+    let filter = `
+        <form class="filter">
+            <input type="search" name="q" placeholder="filter" value="${ escapeHtml(listing.q) }">
+            ${ keep ? `<input type="hidden" name="sort" value="${ listing.sort }"><input type="hidden" name="order" value="${ listing.order }">` : '' }
+            ${ search.term ? `<input type="hidden" name="search" value="${ escapeHtml(search.term) }">${ search.contents ? '<input type="hidden" name="contents" value="1">' : '' }` : '' }
+        </form>`
+
+    if (opts.actions)
+    {
+        filter = `
+        <div class="filters">
+            ${ filter }
+            <form class="filter">
+                <input type="search" name="search" placeholder="search subtree" value="${ escapeHtml(search.term) }">
+                <label><input type="checkbox" name="contents" value="1"${ search.contents ? ' checked' : '' }> contents</label>
+            </form>
+        </div>`
+    }
+
+    if (search.term)
+    {
+        const stopped = search.stopped === 'limit' ? ' (stopped at the result limit)' : search.stopped === 'time' ? ' (stopped at the time limit)' : ''
+        filter += `
+        <p class="notice">${ items.length } result${ items.length === 1 ? '' : 's' } for ${ escapeHtml(search.term) }${ search.contents ? ' in names and contents' : '' }${ stopped } &middot; <a href="${ keep || '?' }">clear</a></p>`
+    }
+
+    // column headers. clicking the current sort column flips the order
+
+    let columns = ''
+
+    for (const col of ['name', 'size', 'time'])
+    {
+        const order = listing.sort === col && listing.order === 'asc' ? 'desc' : 'asc'
+        const arrow = listing.sort === col ? (listing.order === 'asc' ? ' &#9650;' : ' &#9660;') : ''
+        const q = listing.q ? `&q=${ encodeURIComponent(listing.q) }` : ''
+        columns += `<th><a href="?sort=${ col }&order=${ order }${ q }${ searchq }">${ col }${ arrow }</a></th>`
+    }
+
+    if (opts.writable) columns += `<th></th>`
+
+    // upload area, new folder
+
+    const upload = !opts.writable ? '' : `
+        <div class="upload">
+            drop files here or <label><input type="file" multiple hidden>choose files</label> &middot; <a href="#" class="mkdir">new folder</a>
+            <span class="status"></span>
+        </div>`
+
+    // table
+
+    // up
+    let up = ''
+    if (relpath)
+    {
+        const href = base + (relpath.indexOf('/') !== -1 ? `/${ encodePath(relpath.slice(0, relpath.lastIndexOf('/'))) }` : '/')
+        up = `<tr><td colspan="${ opts.writable ? 4 : 3 }" class="name"><a href="${ href }${ keep }">..</a></td></tr>`
+    }
+
+    // items
+    let dirs = ``
+    let files = ``
+    let etc = ``
+
+    for (const item of items)
+    {
+        let href = base + '/' + encodePath(relpath ? `${ relpath }/${ item.name }` : item.name)
+        const name = escapeHtml(item.name)
+        if (item.type === 'dir') href += keep
+        const del = opts.writable ? `<td><button class="delete" data-href="${ href }" data-name="${ name }" title="delete">&#10005;</button></td>` : ''
+
+        if (item.type === 'dir')
+        {
+            if (item.size !== 'N/A')
+            {
+                dirs += `
+                <tr>
+                    <td class="bold">
+                        <a href="${ href }">${ name }</a>
+                    </td>
+                    <td class="bold">
+                        <a href="${ href }">${ item.size }</a>
+                    </td>
+                    <td class="bold">
+                        <a href="${ href }">${ formatDate(item.time) }</a>
+                    </td>
+                    ${ del }
+                </tr>`
+            }
+            else
+            {
+                dirs += `
+                <tr>
+                    <td class="bold gray">
+                        ${ name }
+                    </td>
+                    <td class="bold gray">
+                        ${ item.size }
+                    </td>
+                    <td class="bold gray">
+                        ${ formatDate(item.time) }
+                    </td>
+                    ${ del }
+                </tr>`
+            }
+        }
+        else if (item.type === 'file')
+        {
+            files += `
+            <tr>
+                <td class="name">
+                    <a class="file" href="${ href }">${ name }</a>
+                </td>
+                <td>
+                    <a class="file" href="${ href }">${ formatBytes(item.size) }</a>
+                </td>
+                <td class="date">
+                    <a class="file date" href="${ href }">${ formatDate(item.time) }</a>
+                </td>
+                ${ del }
+            </tr>`
+        }
+        else
+        {
+            // symlinks are linked, whether they're served is up to config.followsymlinks
+            const text = name + (item.target ? ` -&gt; ${ escapeHtml(item.target) }` : '')
+
+            etc += `
+            <tr class="etc">
+                <td class="name">
+                    ${ item.kind === 'symlink' ? `<a href="${ href }">${ text }</a>` : text }
+                </td>
+                <td>
+                    ${ item.kind }
+                </td>
+                <td class="date">
+                    ${ item.time ? formatDate(item.time) : '' }
+                </td>
+                ${ del }
+            </tr>`
+        }
+    }
+
+    //
+
+    return `\
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${ escapeHtml(relpath || '/') }</title>
+    <style>
+${ dirviewStyle }    </style>
+</head>
+<body>
+
+    <div class="main">
+        ${ breadcrumbs }
+        <hr>
+        ${ filter }
+        ${ upload }
+        <table>
+            <thead>
+                <tr>${ columns }</tr>
+            </thead>
+            <tbody>
+                ${ up }
+                ${ dirs }
+                ${ files }
+                ${ etc }
+            </tbody>
+        </table>   
+    </div>
+    ${ opts.writable ? dirviewWritable : '' }
+</body>
+</html>`
+}
+
+// previews
+
+const previewLimit = 1048576 // bytes of a text file rendered by ?view, the rest is left out
+const markdownNesting = 16 // levels of blockquotes and lists rendered as such, deeper markers are left as text
+
+/** file extensions and fenced code languages -> syntax for highlight. checked before the mime type, which source files often lack or share with something else (.ts) */
+
+const syntaxes = {}
+
+for (const ext of 'c h cc cpp hpp cs java js mjs cjs jsx ts tsx go rs swift kt scala dart php css scss less json javascript typescript rust'.split(' ')) syntaxes[ext] = 'clike'
+for (const ext of 'py rb sh bash zsh pl r yaml yml toml conf cfg mk python ruby shell'.split(' ')) syntaxes[ext] = 'hash'
+for (const ext of 'sql lua hs haskell'.split(' ')) syntaxes[ext] = 'dash'
+for (const ext of 'html htm xhtml xml vue'.split(' ')) syntaxes[ext] = 'markup'
+
+const keywords = new Set(('abstract and as async await break case catch class const continue def default del delete do elif else elsif end enum export extends ' +
+    'false False final finally fn for from func function if impl import in interface is let match mod module mut new nil None not null of or package ' +
+    'private protected pub public raise return self static struct super switch then this throw throws trait true True try type typeof undefined use var void while with yield').split(' '))
+
+// groups: comment, string, number, word, anything else
+
+const tokenizers =
+{
+    clike: /(\/\/.*|\/\*[\s\S]*?\*\/)|("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`)|(\b\d[\w.]*)|([A-Za-z_$][\w$]*)|([^\w"'`\/$]+|[\s\S])/g,
+    hash: /(#.*)|("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|(\b\d[\w.]*)|([A-Za-z_$][\w$]*)|([^\w"'#$]+|[\s\S])/g,
+    dash: /(--.*)|("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|(\b\d[\w.]*)|([A-Za-z_$][\w$]*)|([^\w"'$-]+|[\s\S])/g
+}
+
+/**
+@param {string} type - mime type
+@param {string} ext - lowercase file extension without the dot
+@returns {string} renderer: markdown, code, text, image, audio, video. empty if there's none
+*/
+
+function previewKind (type, ext)
+{
+    if (type === 'text/markdown') return 'markdown'
+    if (syntaxes[ext]) return 'code'
+    if (/^(image|audio|video)\//.test(type)) return type.split('/')[0]
+    if (type.startsWith('text/') || /[+\/](json|xml)$/.test(type) || !ext) return 'text' // no extension: README, LICENSE, Makefile
+    return ''
+}
+
+/**
+lightweight syntax highlighting: comments, strings, numbers and keywords, or tags, attribute values and comments of markup
+@param {string} text
+@param {string} syntax - see syntaxes
+@returns {string} escaped html
+*/
+
+function highlight (text, syntax)
+{
+    const span = (cls, str) => `<span class="${ cls }">${ escapeHtml(str) }</span>`
+
+    if (syntax === 'markup')
+    {
+        return text.replace(/(<!--[\s\S]*?-->)|(<\/?[\w:.-]+)([^<>]*)>|([^<]+|<)/g, (match, comment, tag, attrs, other) =>
+            comment ? span('c', comment)
+            : tag ? span('k', tag) + attrs.replace(/("[^"]*"|'[^']*')|([^"']+|["'])/g, (m, str, rest) => str ? span('s', str) : escapeHtml(rest)) + span('k', '>')
+            : escapeHtml(other))
+    }
+
+    return text.replace(tokenizers[syntax], (match, comment, string, number, word, other) =>
+        comment ? span('c', comment)
+        : string ? span('s', string)
+        : number ? span('n', number)
+        : word ? (keywords.has(word) ? span('k', word) : escapeHtml(word))
+        : escapeHtml(other))
 }
 
-function dirview (config, relpath, items)
+/**
+renders inline markdown: code spans, links, images, autolinks, emphasis, strikethrough, hard line breaks and backslash escapes
+@param {string} text
+@returns {string} html
+*/
+
+function markdownInline (text)
 {
-    const root = config.root
-    const base = config.baseurl ? `http://localhost:${ config.port }/${ config.baseurl }` : `http://localhost:${ config.port }`
+    // generated markup is set aside, so that later rules don't match inside it.
+    // spans can't contain their opening delimiter, which keeps matching linear on unclosed delimiters
 
-    // breadcrumbs
+    const stash = []
+    const keep = html => `\0${ stash.push(html) - 1 }\0`
+    const url = (href, image) => /^(javascript|vbscript|data):/i.test(href.replace(/[\x00-\x20\x7f]/g, '')) && !(image && /^data:image\//i.test(href)) ? '#' : href
 
-    let breadcrumbs = `<a href="${ base }">${ root }</a>`
+    text = text
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${ escapeHtml(code.replace(/^ ([\s\S]*) $/, '$1')) }</code>`))
+        .replace(/\\([\\`*_{}\[\]()#+\-.!|~<>])/g, (match, char) => keep(escapeHtml(char)))
 
-    if (relpath)
-    {
-        const split = relpath.split('/')
-        for (let i = 0; i < split.length; i++)
-        {
-            const href = `${ base }/${ split.slice(0, i + 1).join('/') }`
-            const text = (root === '/' && i === 0) ? split[i] : '/' + split[i]
-            breadcrumbs += `<a href="${ href }">${ text }</a>`
-        }
-    }
+    return escapeHtml(text)
+        .replace(/!\[([^[\]]*)\]\(\s*([^\s)]*)(?:\s+&quot;((?:(?!&quot;).)*)&quot;)?\s*\)/g, (match, alt, src, title) => keep(`<img src="${ url(src, true) }" alt="${ alt }"${ title ? ` title="${ title }"` : '' }>`))
+        .replace(/\[([^[\]]+)\]\(\s*([^\s)]*)(?:\s+&quot;((?:(?!&quot;).)*)&quot;)?\s*\)/g, (match, label, href, title) => keep(`<a href="${ url(href) }"${ title ? ` title="${ title }"` : '' }>`) + label + keep('</a>'))
+        .replace(/&lt;((?:https?|mailto):(?:(?!&[lg]t;)\S)+)&gt;/g, (match, href) => keep(`<a href="${ href }">${ href }</a>`))
+        .replace(/(\*\*|__)(?=\S)((?:(?!\1)[\s\S])*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|\W)_(?=\S)((?:[^_]|(?<=\w)_(?=\w))*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)((?:(?!~~)[\s\S])*?\S)~~/g, '<del>$1</del>')
+        .replace(/(?<! ) {2,}\n/g, '<br>\n')
+        .replace(/\0(\d+)\0/g, (match, i) => stash[i])
+}
 
-    breadcrumbs = `<div class="breadcrumbs">${ breadcrumbs }</div>`
+/**
+renders markdown to html: atx and setext headings, paragraphs, fenced and indented code, blockquotes, nested and task lists,
+tables and rules, plus markdownInline. raw html is escaped rather than passed through, since previews share the server's origin
+@param {string} text
+@param {number} [depth] - nesting level of blockquotes and lists, up to markdownNesting
+@returns {string} html
+*/
 
-    // table
+function markdown (text, depth = 0)
+{
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n')
+    const listItem = /^( {0,3})([-*+]|\d{1,9}[.)])[ ]+(.*)$/
+    const blockStart = /^ {0,3}(#|>|```|~~~|[-*+] |\d{1,9}[.)] )/
+    const delimiter = /^ {0,3}\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+    const nests = depth < markdownNesting
+    const out = []
+    let para = []
+    let i = 0
 
-    // up
-    let up = ''
-    if (relpath)
+    const flush = () =>
     {
-        const href = base + (relpath.indexOf('/') !== -1 ? `/${ relpath.slice(0, relpath.lastIndexOf('/')) }` : '')
-        up = `<tr><td colspan="3" class="name"><a href="${ href }">..</a></td></tr>`
+        if (para.length) out.push(`<p>${ markdownInline(para.join('\n').trim()) }</p>`)
+        para = []
     }
 
-    // items
-    let dirs = ``
-    let files = ``
-    let etc = ``
+    const heading = (level, title) =>
+    {
+        const id = title.toLowerCase().replace(/[^\p{L}\p{N}\s_-]+/gu, '').trim().replace(/\s+/g, '-')
+        return `<h${ level } id="${ id }">${ markdownInline(title) }</h${ level }>`
+    }
 
-    for (const item of items)
+    const cells = row => row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim())
+
+    while (i < lines.length)
     {
-        const href = base + (relpath ? `/${ relpath }/${ item.name }` : `/${ item.name }`)
+        const line = lines[i]
+        let m
 
-        if (item.type === 'dir')
+        if ((m = line.match(/^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/)))
         {
-            if (item.size !== 'N/A')
+            // fenced code, highlighted if the language is known
+
+            flush()
+            const code = []
+            for (i++; i < lines.length && !(lines[i].trim().startsWith(m[1]) && /^[`~]+$/.test(lines[i].trim())); i++) code.push(lines[i])
+            i++
+            const syntax = syntaxes[m[2].toLowerCase()]
+            out.push(`<pre><code>${ syntax ? highlight(code.join('\n'), syntax) : escapeHtml(code.join('\n')) }</code></pre>`)
+        }
+        else if (!line.trim())
+        {
+            flush()
+            i++
+        }
+        else if (para.length && (m = line.match(/^ {0,3}(=+|-+)\s*$/)))
+        {
+            const title = para.join(' ').trim()
+            para = []
+            out.push(heading(m[1][0] === '=' ? 1 : 2, title))
+            i++
+        }
+        else if ((m = line.match(/^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/)))
+        {
+            flush()
+            out.push(heading(m[1].length, m[2] || ''))
+            i++
+        }
+        else if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line))
+        {
+            flush()
+            out.push('<hr>')
+            i++
+        }
+        else if (!para.length && /^ {4}/.test(line))
+        {
+            const code = []
+            while (i < lines.length && (/^ {4}/.test(lines[i]) || !lines[i].trim())) code.push(lines[i++].slice(4))
+            while (!code[code.length - 1].trim()) code.pop()
+            out.push(`<pre><code>${ escapeHtml(code.join('\n')) }</code></pre>`)
+        }
+        else if (nests && /^ {0,3}>/.test(line))
+        {
+            flush()
+            const quote = []
+            while (i < lines.length && /^ {0,3}>/.test(lines[i])) quote.push(lines[i++].replace(/^ {0,3}> ?/, ''))
+            out.push(`<blockquote>${ markdown(quote.join('\n'), depth + 1) }</blockquote>`)
+        }
+        else if (nests && (m = line.match(listItem)))
+        {
+            // items are rendered recursively from their lines, dedented to the content, which nests lists.
+            // a blank line between items makes the list loose: items keep their paragraphs
+
+            flush()
+            const ordered = /\d/.test(m[2])
+            const items = []
+            let indent = 0
+            let loose = false
+
+            while (i < lines.length)
             {
-                dirs += `
-                <tr>
-                    <td class="bold">
-                        <a href="${ href }">${ item.name }</a>
-                    </td>
-                    <td class="bold">
-                        <a href="${ href }">${ item.size }</a>
-                    </td>
-                    <td class="bold">
-                        <a href="${ href }">${ formatDate(item.time) }</a>
-                    </td>
-                </tr>`
+                const item = lines[i].match(listItem)
+                const last = items[items.length - 1]
+
+                if (item && /\d/.test(item[2]) === ordered && (!last || item[1].length < indent))
+                {
+                    indent = item[1].length + item[2].length + 1
+                    items.push([item[3]])
+                }
+                else if (!lines[i].trim())
+                {
+                    const next = lines[i + 1] || ''
+                    const nextItem = next.match(listItem)
+                    if (!/^ {2,}\S/.test(next) && !(nextItem && /\d/.test(nextItem[2]) === ordered)) break
+                    loose = true
+                    last.push('')
+                }
+                else if (/^ {2,}\S/.test(lines[i]))
+                {
+                    last.push(lines[i].replace(new RegExp(`^ {0,${ indent }}`), ''))
+                }
+                else if (last[last.length - 1].trim() && !blockStart.test(lines[i]))
+                {
+                    last.push(lines[i]) // lazy continuation of a paragraph
+                }
+                else
+                {
+                    break
+                }
+
+                i++
             }
-            else
+
+            const html = items.map(item =>
             {
-                dirs += `
-                <tr>
-                    <td class="bold gray">
-                        ${ item.name }
-                    </td>
-                    <td class="bold gray">
-                        ${ item.size }
-                    </td>
-                    <td class="bold gray">
-                        ${ formatDate(item.time) }
-                    </td>
-                </tr>`
-            }
+                let body = markdown(item.join('\n'), depth + 1)
+                if (!loose) body = body.replace(/<\/?p>/g, '')
+                body = body.replace(/^(<p>)?\[([ xX])\] /, (match, p, x) => `${ p || '' }<input type="checkbox" disabled${ x === ' ' ? '' : ' checked' }> `)
+                return `<li>${ body }</li>`
+            }).join('\n')
+
+            const start = ordered ? parseInt(m[2]) : 1
+            out.push(ordered ? `<ol${ start !== 1 ? ` start="${ start }"` : '' }>\n${ html }\n</ol>` : `<ul>\n${ html }\n</ul>`)
         }
-        else if (item.type === 'file')
+        else if (line.includes('|') && delimiter.test(lines[i + 1] || '') && cells(line).length === cells(lines[i + 1]).length)
         {
-            files += `
-            <tr>
-                <td class="name">
-                    <a class="file" href="${ href }">${ item.name }</a>
-                </td>
-                <td>
-                    <a class="file" href="${ href }">${ formatBytes(item.size) }</a>
-                </td>
-                <td class="date">
-                    <a class="file date" href="${ href }">${ formatDate(item.time) }
-                </td>
-            </tr>`
+            flush()
+            const head = cells(line)
+            const align = cells(lines[i + 1]).map(c => c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : c.startsWith(':') ? 'left' : '')
+            const row = (tag, values) => head.map((_, k) => `<${ tag }${ align[k] ? ` style="text-align: ${ align[k] }"` : '' }>${ markdownInline(values[k] || '') }</${ tag }>`).join('')
+            const rows = []
+            for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) rows.push(`<tr>${ row('td', cells(lines[i])) }</tr>`)
+            out.push(`<table>\n<thead><tr>${ row('th', head) }</tr></thead>\n<tbody>\n${ rows.join('\n') }\n</tbody>\n</table>`)
         }
         else
         {
-            // TODO
+            para.push(line)
+            i++
         }
     }
 
-    //
+    flush()
+    return out.join('\n')
+}
+
+/**
+@param {string} source - escaped html
+@param {string} text - the unescaped text, for line numbers
+*/
 
+function codeBlock (source, text)
+{
+    const count = text.split('\n').length - (text.endsWith('\n') ? 1 : 0)
+    return `<div class="code"><pre class="gutter">${ Array.from({ length: count }, (_, i) => i + 1).join('\n') }</pre><pre>${ source }</pre></div>`
+}
+
+const previewIcons = { dir: '&#128193;', markdown: '&#128221;', code: '&#128196;', text: '&#128196;', audio: '&#127925;', '': '&#128462;' }
+
+/** preview page in the dirview style, with breadcrumbs that stay in preview mode */
+
+function previewPage (mount, relpath, main, actions, script)
+{
     return `\
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1">
-    <title>${ relpath || '/' }</title>
+    <title>${ escapeHtml(relpath || '/') }</title>
     <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
+${ dirviewStyle }${ previewStyle }    </style>
+</head>
+<body>
+
+    <div class="main">
+        <div class="breadcrumbs">${ breadcrumbLinks(mount, relpath, '?view') }<span class="actions">${ actions }</span></div>
+        <hr>
+        ${ main }
+    </div>
+    ${ script }
+</body>
+</html>`
+}
+
+/**
+@param {Mount} mount
+@param {string} relpath - of the file in the mount root
+@param {string} kind - see previewKind
+@param {string} text - content of text files, up to previewLimit bytes
+@param {{type: string, size: number, script: string}} info - type: mime type, size: file size, script: appended to the page
+*/
+
+function preview (mount, relpath, kind, text, info)
+{
+    const base = mount.baseurl ? `/${ encodePath(mount.baseurl) }` : ''
+    const href = `${ base }/${ encodePath(relpath) }`
+    const name = escapeHtml(path.posix.basename(relpath))
+    const ext = path.extname(relpath).slice(1).toLowerCase()
+
+    const main =
+        kind === 'markdown' ? `<article class="markdown">${ markdown(text) }</article>`
+        : kind === 'code' ? codeBlock(highlight(text, syntaxes[ext]), text)
+        : kind === 'text' ? codeBlock(escapeHtml(text), text)
+        : kind === 'image' ? `<img src="${ href }" alt="${ name }">`
+        : kind === 'audio' ? `<audio src="${ href }" controls preload="metadata"></audio>`
+        : kind === 'video' ? `<video src="${ href }" controls preload="metadata"></video>`
+        : `<p class="notice">no preview available for ${ escapeHtml(info.type) }</p>`
+
+    const cut = text && info.size > previewLimit ? `<p class="notice">showing the first ${ formatBytes(previewLimit) } of ${ formatBytes(info.size) }</p>` : ''
+    return previewPage(mount, relpath, `${ cut }<div class="preview">${ main }</div>`, `<a href="${ href }">raw</a> &middot; ${ formatBytes(info.size) }`, info.script)
+}
+
+/**
+directory as a grid of tiles: images and videos as thumbnails, other items as icons. tiles link to previews
+@param {Mount} mount
+@param {string} relpath - of the directory in the mount root
+@param {Object[]} items - see dirItem
+@param {string} script - appended to the page
+*/
+
+function gallery (mount, relpath, items, script)
+{
+    const base = mount.baseurl ? `/${ encodePath(mount.baseurl) }` : ''
+    const dir = `${ base }/${ encodePath(relpath) }`
+    let tiles = ''
+
+    if (relpath)
+    {
+        const up = relpath.includes('/') ? `${ base }/${ encodePath(relpath.slice(0, relpath.lastIndexOf('/'))) }` : `${ base }/`
+        tiles += `<a href="${ up }?view"><div class="thumb">${ previewIcons.dir }</div><div class="caption">..</div></a>`
+    }
+
+    for (const item of [...items.filter(item => item.type === 'dir'), ...items.filter(item => item.type !== 'dir')])
+    {
+        if (item.type === 'etc' && item.kind !== 'symlink') continue
+
+        const href = `${ base }/${ encodePath(relpath ? `${ relpath }/${ item.name }` : item.name) }`
+        const kind = item.type === 'dir' ? 'dir' : item.type === 'file' ? previewKind(mimeType(mount, item.name), path.extname(item.name).slice(1).toLowerCase()) : ''
+        const thumb = kind === 'image' ? `<img src="${ href }" alt="" loading="lazy">`
+            : kind === 'video' ? `<video src="${ href }#t=0.5" preload="metadata" muted></video>`
+            : previewIcons[kind]
+
+        tiles += `
+            <a href="${ href }?view" title="${ escapeHtml(item.name) }">
+                <div class="thumb">${ thumb }</div>
+                <div class="caption">${ escapeHtml(item.name) }</div>
+            </a>`
+    }
+
+    return previewPage(mount, relpath, `<div class="gallery">${ tiles }</div>`, `<a href="${ dir }">list</a> &middot; download ${ archiveLinks() }`, script)
+}
+
+const previewStyle = `\
+        .preview {
+            margin-bottom: 50px;
         }
         
-        body {
-            background-color: #ededed;
-            font-family: monospace;
-            font-size: 1.25em;
+        .preview img, .preview video {
+            display: block;
+            max-width: 100%;
+            max-height: 80vh;
+            margin: 0 auto;
         }
         
-        .main {
+        .preview audio {
+            width: 100%;
+        }
+        
+        .code {
             display: flex;
-            flex-flow: column nowrap;
-            max-width: 1280px;
-            margin: 0 auto;
+            overflow-x: auto;
+            font-size: 0.8em;
+            line-height: 1.4;
+            background-color: #f8f8f8;
         }
         
-        a {
-            text-decoration: none;
-            color: rgb(50, 50, 50);
+        .code pre {
+            padding: 10px 15px;
         }
         
-        hr {
-            margin: 0 0 15px 0;
-            height: 1px;
-            color: rgba(129,129,129,0.5);
+        .code .gutter {
+            text-align: right;
+            user-select: none;
+            color: rgba(129,129,129,0.8);
+            border-right: 1px solid rgba(129,129,129,0.3);
         }
         
-        .breadcrumbs {
-            margin: 15px 0;
-            line-height: 20px;
+        .c {
+            font-style: italic;
+            color: #6a737d;
         }
         
-        .breadcrumbs a, .breadcrumbs span {
-            color: rgba(129,129,129,0.5);
+        .s {
+            color: #22863a;
         }
         
-        .breadcrumbs a:hover, .breadcrumbs a:last-child {
-            color: rgb(50, 50, 50);
+        .n {
+            color: #005cc5;
         }
         
-        table {
-            /*border: 1px solid #333;*/
-            width: 100%;
-            max-width: 1280px;
-            border-spacing: 0;
-            margin-bottom: 50px;
+        .k {
+            color: #d73a49;
         }
         
-        tr {
-            /*border-top: 1px solid #333;*/
+        .markdown {
+            padding: 30px;
+            font-family: sans-serif;
+            font-size: 0.85em;
+            line-height: 1.6;
+            background-color: #fff;
         }
         
-        tr:nth-child(even) {
-            background-color: #e5e5e5;
+        .markdown h1, .markdown h2, .markdown h3, .markdown h4, .markdown h5, .markdown h6,
+        .markdown p, .markdown ul, .markdown ol, .markdown blockquote, .markdown pre, .markdown table, .markdown hr {
+            margin: 0 0 1em 0;
         }
         
-        tr:hover {
-            background-color: #fff;
+        .markdown ul, .markdown ol {
+            padding-left: 2em;
         }
         
-        td {
-            text-align: left;
+        .markdown li > ul, .markdown li > ol {
+            margin: 0;
+        }
+        
+        .markdown a {
+            display: inline;
+            color: #0366d6;
+            text-decoration: underline;
+        }
+        
+        .markdown img {
+            max-width: 100%;
+        }
+        
+        .markdown code {
+            padding: 0 3px;
+            background-color: #f0f0f0;
+        }
+        
+        .markdown pre {
+            padding: 10px 15px;
+            overflow-x: auto;
+            background-color: #f8f8f8;
+        }
+        
+        .markdown pre code {
             padding: 0;
-            white-space:nowrap;
         }
         
-        td:first-child {
-            width: 100%;
+        .markdown blockquote {
+            padding-left: 1em;
+            color: rgb(110, 110, 110);
+            border-left: 3px solid rgba(129,129,129,0.5);
         }
         
-        td:nth-child(2n) {
-            padding-right: 15px;
-            text-align: right;
+        .markdown table {
+            width: auto;
+            border-collapse: collapse;
         }
         
-        td:nth-child(3n) {
-            text-align: right;
+        .markdown th, .markdown td {
+            width: auto;
+            padding: 4px 10px;
+            text-align: left;
+            white-space: normal;
+            border: 1px solid rgba(129,129,129,0.3);
         }
         
-        td a {
-            display: block;
-            width: 100%;
-            /*padding-right: 50px;*/
+        .gallery {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+            gap: 15px;
+            margin-bottom: 50px;
         }
         
-        .bold {
-            font-weight: bold;
+        .gallery a {
+            background-color: #e5e5e5;
         }
         
-        .gray {
-            color: rgba(129,129,129,0.5);
+        .gallery a:hover {
+            background-color: #fff;
         }
-    </style>
-</head>
-<body>
-
-    <div class="main">
-        ${ breadcrumbs }
-        <hr>
-        <table>
-            <tbody>
-                ${ up }
-                ${ dirs }
-                ${ files }
-                ${ etc }
-            </tbody>
-        </table>   
-    </div>
-     
-</body>
-</html>`
-}
+        
+        .gallery .thumb {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            height: 150px;
+            overflow: hidden;
+            font-size: 3em;
+        }
+        
+        .gallery .thumb img, .gallery .thumb video {
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+        }
+        
+        .gallery .caption {
+            padding: 5px;
+            overflow: hidden;
+            font-size: 0.7em;
+            white-space: nowrap;
+            text-overflow: ellipsis;
+        }
+`
 
 exports.RXFS = RXFS
 
@@ -817,14 +6078,46 @@ if (require.main === module)
 {
     "root": ".",
     "port": 1234,
+    "host": "",
+    "portfallback": 0,
+    "protocol": "http",
+    "cert": "",
+    "key": "",
+    "redirectport": 0,
+    "proxy": {},
+    "proxytimeout": 30000,
     "baseurl": "/",
     "autoindex": false,
     "servedir": true,
     "headers": { "cache-control": "public, max-age=604800, immutable" },
     "mimes": {},
     "logfile": "rxfs.log",
+    "logformat": "",
+    "logrotate": "",
+    "logkeep": 7,
+    "timing": false,
     "verbose": true,
-    "debug": false
+    "debug": false,
+    "livereload": false,
+    "revalidate": false,
+    "compress": false,
+    "compressmin": 1024,
+    "precompressed": false,
+    "writable": false,
+    "maxupload": 1073741824,
+    "searchdepth": 16,
+    "searchlimit": 1000,
+    "searchtime": 10000,
+    "fallback": "",
+    "errorpages": {},
+    "followsymlinks": "root",
+    "hidedotfiles": false,
+    "headerrules": {},
+    "redirects": [],
+    "rulefiles": false,
+    "cors": {},
+    "auth": {},
+    "mounts": []
 }`
         )
 
@@ -834,7 +6127,6 @@ if (require.main === module)
 
     //
 
-    const os = require('os')
     const finalOpts = {}
 
     // file opts
@@ -862,5 +6154,22 @@ if (require.main === module)
 
     //
 
-    new RXFS(finalOpts)
+    const rxfs = new RXFS(finalOpts)
+
+    rxfs.ready.catch(err =>
+    {
+        console.error(`failed to listen on port ${ rxfs.config.port }: ${ err.message || err }`)
+        process.exit(1)
+    })
+
+    // graceful shutdown. a second signal exits immediately
+
+    for (const signal of ['SIGINT', 'SIGTERM'])
+    {
+        process.once(signal, () =>
+        {
+            process.once(signal, () => process.exit(1))
+            rxfs.close().then(() => process.exit(0))
+        })
+    }
 }
\ No newline at end of file
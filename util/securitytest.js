@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+'use strict'
+
+// requests that try to reach files outside of the root, hidden files or symlink targets the policy forbids.
+// every case runs under each config.followsymlinks mode, with hidedotfiles and precompressed enabled
+// usage: node util/securitytest.js
+// exits with code 1 if a response has an unexpected status or contains the secret
+
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { RXFS } = require('./rxfs')
+
+// fixture: dir/root is served, dir/outside holds the secret
+
+const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'rxfs-securitytest-')))
+const root = `${ dir }/root`
+const secret = 'SECRET-7f3a'
+
+fs.mkdirSync(`${ dir }/outside`)
+fs.mkdirSync(`${ root }/sub`, { recursive: true })
+fs.mkdirSync(`${ root }/.git`)
+fs.writeFileSync(`${ dir }/outside/secret.txt`, secret)
+fs.writeFileSync(`${ root }/.git/config`, secret)
+fs.writeFileSync(`${ root }/a.txt`, 'a')
+fs.writeFileSync(`${ root }/sub/b.txt`, 'b')
+fs.symlinkSync('../outside/secret.txt', `${ root }/out.txt`) // target outside of the root
+fs.symlinkSync('../outside', `${ root }/outdir`) // directory outside of the root
+fs.symlinkSync('../outside/secret.txt', `${ root }/a.txt.gz`) // precompressed sibling outside of the root
+fs.symlinkSync('.git/config', `${ root }/dotlink`) // hidden file inside the root
+fs.symlinkSync('a.txt', `${ root }/in.txt`) // target inside the root
+
+// [path, expected status by mode { root, all, none }, request headers]
+
+const gzip = { 'accept-encoding': 'gzip' }
+
+const cases =
+[
+    // traversal
+    ['/../outside/secret.txt', { root: 400, all: 400, none: 400 }],
+    ['/%2e%2e/outside/secret.txt', { root: 400, all: 400, none: 400 }],
+    ['/%2e%2e/%2e%2e/%2e%2e/%2e%2e/etc/passwd', { root: 400, all: 400, none: 400 }],
+    ['/..%2f..%2f..%2f..%2fetc/passwd', { root: 400, all: 400, none: 400 }],
+    ['/sub/..%2f..%2foutside/secret.txt', { root: 400, all: 400, none: 400 }],
+    ['/sub/%2e%2e%2f%2e%2e%2foutside%2fsecret.txt', { root: 400, all: 400, none: 400 }],
+    ['/..%5c..%5coutside%5csecret.txt', { root: 403, all: 403, none: 403 }], // a hidden file name on posix, separators on windows
+    // null byte
+    ['/a.txt%00.html', { root: 400, all: 400, none: 400 }],
+    ['/%00', { root: 400, all: 400, none: 400 }],
+    // hidden files
+    ['/.git/config', { root: 403, all: 403, none: 403 }],
+    ['/%2egit/config', { root: 403, all: 403, none: 403 }],
+    ['/sub/../.git/config', { root: 403, all: 403, none: 403 }],
+    ['/dotlink', { root: 403, all: 403, none: 403 }],
+    // symlinks
+    ['/out.txt', { root: 403, all: 200, none: 403 }],
+    ['/outdir/secret.txt', { root: 403, all: 200, none: 403 }],
+    ['/outdir/', { root: 403, all: 200, none: 403 }],
+    ['/in.txt', { root: 200, all: 200, none: 403 }],
+    // precompressed siblings are checked like the file itself
+    ['/a.txt.gz', { root: 403, all: 200, none: 403 }],
+    ['/a.txt', { root: 200, all: 200, none: 200 }, gzip],
+    // listings and archives omit what can't be served
+    ['/?format=json', { root: 200, all: 200, none: 200 }],
+    ['/?download=tar', { root: 200, all: 200, none: 200 }],
+    ['/?search=secret&contents', { root: 200, all: 200, none: 200 }],
+]
+
+// whether a response may contain the secret: only symlinks the mode allows reach it
+
+const exposes = (mode, url) => mode === 'all' && /^\/(out\.txt|outdir\/secret\.txt|a\.txt(\.gz)?|\?download=tar|\?search=)/.test(url)
+
+/**
+@param {number} port
+@param {string} url - sent as is, without normalization
+@param {Object.<string, string>} headers
+@returns {Promise.<{status: number, body: Buffer}>}
+*/
+
+function request (port, url, headers)
+{
+    return new Promise((resolve, reject) =>
+    {
+        const req = http.request({ port, path: url, headers, agent: false }, res =>
+        {
+            const chunks = []
+            res.on('data', chunk => chunks.push(chunk))
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }))
+        })
+
+        req.on('error', reject)
+        req.end()
+    })
+}
+
+async function run ()
+{
+    let failed = 0
+
+    for (const mode of ['root', 'all', 'none'])
+    {
+        const rxfs = new RXFS({ root, port: 0, verbose: false, headers: {}, followsymlinks: mode, hidedotfiles: true, precompressed: true })
+        const { port } = await rxfs.ready
+
+        for (const [url, expected, headers = {}] of cases)
+        {
+            const { status, body } = await request(port, url, headers)
+            const leaked = !exposes(mode, url) && body.includes(secret)
+            const ok = status === expected[mode] && !leaked
+            if (!ok) failed++
+
+            console.log(`${ ok ? 'ok  ' : 'FAIL' } ${ mode.padEnd(4) } ${ status } ${ url }${ headers['accept-encoding'] ? ` (${ headers['accept-encoding'] })` : '' }${ status === expected[mode] ? '' : `, expected ${ expected[mode] }` }${ leaked ? ', leaked the secret' : '' }`)
+        }
+
+        await rxfs.close()
+    }
+
+    fs.rmSync(dir, { recursive: true, force: true })
+    console.log(failed ? `${ failed } of ${ cases.length * 3 } failed` : `all ${ cases.length * 3 } passed`)
+    process.exitCode = failed ? 1 : 0
+}
+
+run()